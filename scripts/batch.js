@@ -0,0 +1,154 @@
+// Headless batch runner: runs N episodes per reward regime and writes
+// per-episode results as CSV (default) or JSON.
+//
+//   npm run batch -- --episodes 1000 --regimes sparse,shaping --out results.csv
+//
+// `--expression "<reward>"` adds a 'custom' regime with a user-defined
+// reward expression (see src/utils/expression.js), and
+// `--reward-model <file>` a 'learned' regime with a reward model saved from
+// the app (see src/utils/rewardModel.js). `--corruption noise=0.1,delay=5`
+// corrupts every regime's reward (see src/utils/corruption.js); the summary
+// then sets the proxy return collected against true success.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { rewardTypesFor, runEpisodes, resultsToCSV } from '../src/utils/batch.js';
+import { POLICIES } from '../src/utils/policies.js';
+import { ROBOTS, TASK_TYPES } from '../src/utils/simulation.js';
+import { LAYOUTS } from '../src/utils/layouts.js';
+import { tryCompileExpression } from '../src/utils/expression.js';
+import { parseCorruption, proxyVersusSuccess } from '../src/utils/corruption.js';
+
+const { values } = parseArgs({
+  options: {
+    episodes: { type: 'string', default: '100' },
+    'max-steps': { type: 'string', default: '1000' },
+    regimes: { type: 'string' },
+    policy: { type: 'string', default: 'greedy' },
+    robot: { type: 'string', default: 'pointMass' },
+    task: { type: 'string', default: 'reach' },
+    layout: { type: 'string', default: 'open' },
+    'no-walls': { type: 'boolean', default: false },
+    'randomize-tasks': { type: 'boolean', default: false },
+    seed: { type: 'string', default: '1' },
+    gamma: { type: 'string', default: '0.9' },
+    'learning-rate': { type: 'string', default: '0.1' },
+    expression: { type: 'string' },
+    'reward-model': { type: 'string' },
+    corruption: { type: 'string' },
+    format: { type: 'string' },
+    out: { type: 'string' },
+  },
+});
+
+if (!ROBOTS[values.robot]) {
+  console.error(`Unknown robot: ${values.robot}. Expected: ${Object.keys(ROBOTS).join(', ')}`);
+  process.exit(1);
+}
+
+// Every regime that applies to the robot by default
+const rewardTypes = rewardTypesFor(values.robot);
+const regimes = (values.regimes ?? rewardTypes.join(',')).split(',').map((r) => r.trim()).filter(Boolean);
+if (values.expression !== undefined) {
+  const { error } = tryCompileExpression(values.expression);
+  if (error) {
+    console.error(`Invalid --expression: ${error.message}`);
+    process.exit(1);
+  }
+  rewardTypes.push('custom');
+  if (!regimes.includes('custom')) regimes.push('custom');
+}
+let rewardModel = null;
+if (values['reward-model'] !== undefined) {
+  try {
+    rewardModel = JSON.parse(readFileSync(values['reward-model'], 'utf8'));
+  } catch (err) {
+    console.error(`Could not read --reward-model: ${err.message}`);
+    process.exit(1);
+  }
+  rewardTypes.push('learned');
+  if (!regimes.includes('learned')) regimes.push('learned');
+}
+let rewardCorruption = null;
+if (values.corruption !== undefined) {
+  try {
+    rewardCorruption = parseCorruption(values.corruption);
+  } catch (err) {
+    console.error(`Invalid --corruption: ${err.message}`);
+    process.exit(1);
+  }
+}
+const unknown = regimes.filter((r) => !rewardTypes.includes(r));
+if (unknown.length > 0) {
+  console.error(`Unknown regime(s): ${unknown.join(', ')}. Expected: ${rewardTypes.join(', ')}`);
+  process.exit(1);
+}
+
+if (!POLICIES[values.policy]) {
+  console.error(`Unknown policy: ${values.policy}. Expected: ${Object.keys(POLICIES).join(', ')}`);
+  process.exit(1);
+}
+
+if (!TASK_TYPES[values.task]) {
+  console.error(`Unknown task: ${values.task}. Expected: ${Object.keys(TASK_TYPES).join(', ')}`);
+  process.exit(1);
+}
+if (!LAYOUTS[values.layout]) {
+  console.error(`Unknown layout: ${values.layout}. Expected: ${Object.keys(LAYOUTS).join(', ')}`);
+  process.exit(1);
+}
+
+const config = {
+  policyType: values.policy,
+  robot: values.robot,
+  taskType: values.task,
+  layout: values.layout,
+  walls: !values['no-walls'],
+  randomizeTasks: values['randomize-tasks'],
+  seed: parseInt(values.seed, 10),
+  episodes: parseInt(values.episodes, 10),
+  maxSteps: parseInt(values['max-steps'], 10),
+  gamma: parseFloat(values.gamma),
+  learningRate: parseFloat(values['learning-rate']),
+  customExpression: values.expression ?? null,
+  rewardModel,
+  rewardCorruption,
+};
+
+// Means over no episodes are undefined
+const fixed = (value, digits) => (Number.isFinite(value) ? value.toFixed(digits) : 'n/a');
+
+const results = [];
+for (const rewardType of regimes) {
+  const rows = runEpisodes({ rewardType, ...config });
+  results.push(...rows);
+
+  const successes = rows.filter((r) => r.success);
+  const meanSteps = successes.length > 0
+    ? successes.reduce((sum, r) => sum + r.steps, 0) / successes.length
+    : NaN;
+  console.error(
+    `${rewardType}: ${successes.length}/${rows.length} successes, ` +
+    `mean steps to goal ${fixed(meanSteps, 1)}`
+  );
+  if (rewardCorruption) {
+    const proxy = proxyVersusSuccess(rows);
+    console.error(
+      `  proxy return ${fixed(proxy.meanReturn, 2)} ` +
+      `(successes ${fixed(proxy.meanReturnSuccess, 2)}, failures ${fixed(proxy.meanReturnFailure, 2)}), ` +
+      `return-success correlation ${fixed(proxy.correlation, 2)}`
+    );
+  }
+}
+
+const format = values.format || (values.out?.endsWith('.json') ? 'json' : 'csv');
+const output = format === 'json'
+  ? JSON.stringify({ config: { ...config, regimes }, results }, null, 2) + '\n'
+  : resultsToCSV(results);
+
+if (values.out) {
+  writeFileSync(values.out, output);
+  console.error(`Wrote ${results.length} episodes to ${values.out}`);
+} else {
+  process.stdout.write(output);
+}
@@ -0,0 +1,111 @@
+// Multi-seed experiment: runs every regime across K seeds headless and
+// reports mean and 95% CI of success rate and steps to goal, plus pairwise
+// Welch t-tests between regimes.
+//
+//   npm run experiment -- --seeds 20 --episodes 50
+//
+// Tasks are randomized per episode unless `--fixed-tasks`: with the same task
+// every episode, a deterministic policy gives every seed the same run.
+// `--randomize-tasks` asks for the default explicitly; the two conflict.
+//
+// The output is CSV, with the mean and the interval's bounds of each metric
+// in separate columns, and `n/a` where a metric has no data.
+
+import { writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { rewardTypesFor } from '../src/utils/batch.js';
+import { POLICIES } from '../src/utils/policies.js';
+import { ROBOTS, TASK_TYPES } from '../src/utils/simulation.js';
+import { LAYOUTS } from '../src/utils/layouts.js';
+import { runExperiment } from '../src/utils/experiment.js';
+
+const { values } = parseArgs({
+  options: {
+    seeds: { type: 'string', default: '10' },
+    'base-seed': { type: 'string', default: '1' },
+    episodes: { type: 'string', default: '50' },
+    'max-steps': { type: 'string', default: '1000' },
+    regimes: { type: 'string' },
+    policy: { type: 'string', default: 'greedy' },
+    robot: { type: 'string', default: 'pointMass' },
+    task: { type: 'string', default: 'reach' },
+    layout: { type: 'string', default: 'open' },
+    'no-walls': { type: 'boolean', default: false },
+    'randomize-tasks': { type: 'boolean', default: false },
+    'fixed-tasks': { type: 'boolean', default: false },
+    gamma: { type: 'string', default: '0.9' },
+    'learning-rate': { type: 'string', default: '0.1' },
+    out: { type: 'string' },
+  },
+});
+
+if (values['randomize-tasks'] && values['fixed-tasks']) {
+  console.error('--randomize-tasks and --fixed-tasks conflict: pass one of them');
+  process.exit(1);
+}
+if (!ROBOTS[values.robot]) {
+  console.error(`Unknown robot: ${values.robot}. Expected: ${Object.keys(ROBOTS).join(', ')}`);
+  process.exit(1);
+}
+const rewardTypes = rewardTypesFor(values.robot);
+const regimes = (values.regimes ?? rewardTypes.join(',')).split(',').map((r) => r.trim()).filter(Boolean);
+const unknown = regimes.filter((r) => !rewardTypes.includes(r));
+if (unknown.length > 0) {
+  console.error(`Unknown regime(s): ${unknown.join(', ')}. Expected: ${rewardTypes.join(', ')}`);
+  process.exit(1);
+}
+if (!POLICIES[values.policy]) {
+  console.error(`Unknown policy: ${values.policy}. Expected: ${Object.keys(POLICIES).join(', ')}`);
+  process.exit(1);
+}
+if (!TASK_TYPES[values.task]) {
+  console.error(`Unknown task: ${values.task}. Expected: ${Object.keys(TASK_TYPES).join(', ')}`);
+  process.exit(1);
+}
+if (!LAYOUTS[values.layout]) {
+  console.error(`Unknown layout: ${values.layout}. Expected: ${Object.keys(LAYOUTS).join(', ')}`);
+  process.exit(1);
+}
+
+const config = {
+  arms: regimes.map((key) => ({ key, rewardType: key })),
+  seeds: parseInt(values.seeds, 10),
+  baseSeed: parseInt(values['base-seed'], 10),
+  episodes: parseInt(values.episodes, 10),
+  maxSteps: parseInt(values['max-steps'], 10),
+  policyType: values.policy,
+  robot: values.robot,
+  taskType: values.task,
+  layout: values.layout,
+  walls: !values['no-walls'],
+  randomizeTasks: !values['fixed-tasks'],
+  gamma: parseFloat(values.gamma),
+  learningRate: parseFloat(values['learning-rate']),
+};
+
+if (values['fixed-tasks']) {
+  console.error('Fixed tasks: a deterministic policy gives every seed the same run, so the tests compare nothing');
+}
+
+const result = await runExperiment(config, (done, total) => {
+  process.stderr.write(`\r${done}/${total} runs`);
+});
+process.stderr.write('\n');
+
+// Seeds without a success have no steps to goal, and tests need two seeds
+// with one per arm
+const ci = ({ mean, lo, hi, n }) => (n === 0 ? ['n/a', 'n/a', 'n/a'] : [mean, lo, hi].map((v) => v.toFixed(3))).join(',');
+const pValue = ({ p }) => (Number.isFinite(p) ? p.toFixed(4) : 'n/a');
+console.log('regime,success rate,success rate lo,success rate hi,steps to goal,steps to goal lo,steps to goal hi');
+Object.entries(result.regimes).forEach(([key, r]) => {
+  console.log(`${key},${ci(r.successRate)},${ci(r.meanSteps)}`);
+});
+console.log('\nregime A,regime B,p (success rate),p (steps to goal)');
+result.comparisons.forEach(({ a, b, successRate, meanSteps }) => {
+  console.log(`${a},${b},${pValue(successRate)},${pValue(meanSteps)}`);
+});
+
+if (values.out) {
+  writeFileSync(values.out, JSON.stringify({ config, ...result }, null, 2) + '\n');
+  console.error(`Wrote experiment results to ${values.out}`);
+}
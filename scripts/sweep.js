@@ -0,0 +1,143 @@
+// Hyperparameter sweep: runs one regime over a grid of one or two parameter
+// values and writes success rate, mean steps to goal and the return against
+// success (see summarizeRun()) per grid cell as CSV (default) or JSON.
+//
+//   npm run sweep -- --regime semantic --x reward.sigma=20:200:10 --y policy.speed=1:6:6
+//
+// Axes are `<target>.<name>=<min>:<max>:<count>`, where target is `reward`
+// for a parameter of the regime, `policy` for a policy option or
+// `corruption` for a reward corruption, whose other values
+// `--corruption noise=0.1,delay=5` fixes. The 'custom' regime needs
+// `--expression` and the 'learned' one `--reward-model <file>`.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { POLICIES } from '../src/utils/policies.js';
+import { ROBOTS, TASK_TYPES } from '../src/utils/simulation.js';
+import { LAYOUTS } from '../src/utils/layouts.js';
+import { REGIMES } from '../src/utils/regimes.js';
+import { tryCompileExpression } from '../src/utils/expression.js';
+import { parseCorruption } from '../src/utils/corruption.js';
+import { sweepAxes, gridValues, runSweep, sweepToCSV } from '../src/utils/sweep.js';
+
+const { values } = parseArgs({
+  options: {
+    regime: { type: 'string', default: 'shaping' },
+    x: { type: 'string' },
+    y: { type: 'string' },
+    episodes: { type: 'string', default: '20' },
+    'max-steps': { type: 'string', default: '1000' },
+    policy: { type: 'string', default: 'greedy' },
+    robot: { type: 'string', default: 'pointMass' },
+    task: { type: 'string', default: 'reach' },
+    layout: { type: 'string', default: 'open' },
+    'no-walls': { type: 'boolean', default: false },
+    'randomize-tasks': { type: 'boolean', default: false },
+    seed: { type: 'string', default: '1' },
+    gamma: { type: 'string', default: '0.9' },
+    'learning-rate': { type: 'string', default: '0.1' },
+    expression: { type: 'string' },
+    'reward-model': { type: 'string' },
+    corruption: { type: 'string' },
+    format: { type: 'string' },
+    out: { type: 'string' },
+  },
+});
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+if (!ROBOTS[values.robot]) {
+  fail(`Unknown robot: ${values.robot}. Expected: ${Object.keys(ROBOTS).join(', ')}`);
+}
+// Regimes for one robot only reward nothing on the other
+const regimes = Object.keys(REGIMES).filter((key) => (REGIMES[key].robot ?? values.robot) === values.robot);
+if (!regimes.includes(values.regime)) {
+  fail(`Unknown regime for ${values.robot}: ${values.regime}. Expected: ${regimes.join(', ')}`);
+}
+if (REGIMES[values.regime].expression) {
+  if (values.expression === undefined) fail(`Regime ${values.regime} needs --expression`);
+  const { error } = tryCompileExpression(values.expression);
+  if (error) fail(`Invalid --expression: ${error.message}`);
+}
+let rewardModel = null;
+if (REGIMES[values.regime].model) {
+  if (values['reward-model'] === undefined) fail(`Regime ${values.regime} needs --reward-model`);
+  try {
+    rewardModel = JSON.parse(readFileSync(values['reward-model'], 'utf8'));
+  } catch (err) {
+    fail(`Could not read --reward-model: ${err.message}`);
+  }
+}
+let rewardCorruption = null;
+if (values.corruption !== undefined) {
+  try {
+    rewardCorruption = parseCorruption(values.corruption);
+  } catch (err) {
+    fail(`Invalid --corruption: ${err.message}`);
+  }
+}
+if (!POLICIES[values.policy]) {
+  fail(`Unknown policy: ${values.policy}. Expected: ${Object.keys(POLICIES).join(', ')}`);
+}
+if (!TASK_TYPES[values.task]) {
+  fail(`Unknown task: ${values.task}. Expected: ${Object.keys(TASK_TYPES).join(', ')}`);
+}
+if (!LAYOUTS[values.layout]) {
+  fail(`Unknown layout: ${values.layout}. Expected: ${Object.keys(LAYOUTS).join(', ')}`);
+}
+
+const axes = sweepAxes(values.regime, values.task);
+const parseAxis = (text, flag) => {
+  const match = /^([\w.]+)=([-\d.e]+):([-\d.e]+):(\d+)$/.exec(text || '');
+  if (!match) fail(`--${flag} must look like <target>.<name>=<min>:<max>:<count>`);
+  const axis = axes.find((a) => a.id === match[1]);
+  if (!axis) fail(`Unknown axis ${match[1]} for ${values.regime}. Expected: ${axes.map((a) => a.id).join(', ')}`);
+  return { ...axis, values: gridValues(parseFloat(match[2]), parseFloat(match[3]), parseInt(match[4], 10)) };
+};
+const xAxis = parseAxis(values.x, 'x');
+const yAxis = values.y ? parseAxis(values.y, 'y') : null;
+
+const result = await runSweep({
+  xAxis,
+  yAxis,
+  rewardType: values.regime,
+  customExpression: values.expression ?? null,
+  rewardModel,
+  rewardCorruption,
+  policyType: values.policy,
+  robot: values.robot,
+  taskType: values.task,
+  layout: values.layout,
+  walls: !values['no-walls'],
+  randomizeTasks: values['randomize-tasks'],
+  seed: parseInt(values.seed, 10),
+  episodes: parseInt(values.episodes, 10),
+  maxSteps: parseInt(values['max-steps'], 10),
+  gamma: parseFloat(values.gamma),
+  learningRate: parseFloat(values['learning-rate']),
+  keepEpisodes: 0,
+}, (done, total) => {
+  process.stderr.write(`\r${done}/${total} cells`);
+});
+process.stderr.write('\n');
+
+const format = values.format || (values.out?.endsWith('.json') ? 'json' : 'csv');
+const output = format === 'json'
+  ? JSON.stringify({
+      regime: values.regime,
+      xAxis: { id: xAxis.id, values: xAxis.values },
+      yAxis: yAxis && { id: yAxis.id, values: yAxis.values },
+      // Values and metrics, without the trajectories
+      cells: result.cells.map(({ x, y, rows, episodes, ...cell }) => cell),
+    }, null, 2) + '\n'
+  : sweepToCSV(result);
+
+if (values.out) {
+  writeFileSync(values.out, output);
+  console.error(`Wrote ${result.cells.length} cells to ${values.out}`);
+} else {
+  process.stdout.write(output);
+}
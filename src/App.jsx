@@ -1,33 +1,182 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import SimulationCanvas from './components/SimulationCanvas';
 import SuccessChart from './components/SuccessChart';
+import AnalyticsPanel from './components/AnalyticsPanel';
+import ExperimentPanel from './components/ExperimentPanel';
+import SweepPanel from './components/SweepPanel';
 import RewardFormula from './components/RewardFormula';
+import RewardEditor from './components/RewardEditor';
+import RegimeParams from './components/RegimeParams';
+import RewardCorruption from './components/RewardCorruption';
+import PreferenceTrainer from './components/PreferenceTrainer';
+import ShapingCheckPanel from './components/ShapingCheckPanel';
+import { POLICIES } from './utils/policies';
+import { LAYOUTS } from './utils/layouts';
+import { ROBOTS, TASK_TYPES } from './utils/simulation';
+import { createRunLog, parseRun, runToCSV, runToSuccessSeries } from './utils/runData';
+import { REGIMES, REGIME_KEYS, resolveParams } from './utils/regimes';
 
 const CANVAS_WIDTH = 400;
 const CANVAS_HEIGHT = 300;
+// Speed multiplier slider stops: the simulation runs in workers, so it can go
+// well past real time without holding up the page
+const SPEED_MULTIPLIERS = [1, 2, 5, 10, 20, 50, 100, 200];
+const DEFAULT_CUSTOM_EXPRESSION = 'exp(-(d / 120)^2) - 0.001 * sqrt(vx^2 + vy^2)';
+
+// A panel runs one regime with its own parameter overrides and reward
+// corruption (and expression, for the expression-driven regime, or saved
+// reward model, for the learned one, null until one is fit). The first
+// panel of a regime is keyed by the regime; further copies get "<regime>-2",
+// "<regime>-3", ...
+const newPanel = (id, rewardType, params = {}) => ({
+  id,
+  rewardType,
+  params,
+  corruption: {},
+  ...(REGIMES[rewardType].expression ? { expression: DEFAULT_CUSTOM_EXPRESSION } : {}),
+  ...(REGIMES[rewardType].model ? { model: null } : {}),
+});
+
+function nextPanelId(panels, rewardType) {
+  const ids = new Set(panels.map((p) => p.id));
+  if (!ids.has(rewardType)) return rewardType;
+  let n = 2;
+  while (ids.has(`${rewardType}-${n}`)) n++;
+  return `${rewardType}-${n}`;
+}
+
+// Chart series per panel: copies of a regime are numbered and drawn in a
+// darker shade of the regime's color
+function panelSeries(panels) {
+  const seen = {};
+  return panels.map(({ id, rewardType }) => {
+    const { shortLabel, color } = REGIMES[rewardType];
+    const copy = seen[rewardType] = (seen[rewardType] || 0) + 1;
+    const shade = Math.max(0.4, 1 - 0.25 * (copy - 1));
+    return {
+      key: id,
+      copy,
+      label: copy === 1 ? shortLabel : `${shortLabel} #${copy}`,
+      color: color.split(',').map((c) => Math.round(parseInt(c) * shade)).join(', '),
+    };
+  });
+}
+
+function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
 
 function App() {
   const [gamma, setGamma] = useState(0.9);
   const [learningRate, setLearningRate] = useState(0.1);
   const [speedMultiplier, setSpeedMultiplier] = useState(1);
+  const [policyType, setPolicyType] = useState('greedy');
+  const [layout, setLayout] = useState('open');
+  const [walls, setWalls] = useState(true);
+  const [randomizeTasks, setRandomizeTasks] = useState(false);
+  const [seed, setSeed] = useState(1);
+  const [robot, setRobot] = useState('pointMass');
+  const [taskType, setTaskType] = useState('reach');
+  // One panel per regime to start with, leaving out the arm-only ones and
+  // the learned one, which needs training first
+  const [panels, setPanels] = useState(() =>
+    REGIME_KEYS.filter((key) => !REGIMES[key].robot && !REGIMES[key].model).map((key) => newPanel(key, key))
+  );
+  const series = useMemo(() => panelSeries(panels), [panels]);
   
-  // Track rewards and successes for each regime
-  const [rewards, setRewards] = useState({
-    sparse: 0,
-    shaping: 0,
-    prm: 0,
-    semantic: 0,
-  });
+  const updatePanel = (id, changes) => {
+    setPanels((prev) => prev.map((p) => (p.id === id ? { ...p, ...changes } : p)));
+  };
+  const duplicatePanel = (panel) => {
+    setPanels((prev) => {
+      const index = prev.findIndex((p) => p.id === panel.id);
+      const copy = { ...panel, id: nextPanelId(prev, panel.rewardType) };
+      return [...prev.slice(0, index + 1), copy, ...prev.slice(index + 1)];
+    });
+  };
+  const addPanel = (rewardType) => {
+    setPanels((prev) => [...prev, newPanel(nextPanelId(prev, rewardType), rewardType)]);
+  };
+  const removePanel = (id) => {
+    setPanels((prev) => prev.filter((p) => p.id !== id));
+  };
   
-  const [successes, setSuccesses] = useState({
-    sparse: 0,
-    shaping: 0,
-    prm: 0,
-    semantic: 0,
-  });
+  // Parameters apply to the running simulations live; these start over.
+  // A panel restarts by remounting its canvas, all of them with a new run.
+  const [runId, setRunId] = useState(0);
+  const [panelResets, setPanelResets] = useState({});
+  
+  // Track rewards and successes for each panel
+  const [rewards, setRewards] = useState({});
+  
+  const [successes, setSuccesses] = useState({});
   
   const [chartData, setChartData] = useState([]);
   
+  const config = useMemo(
+    () => ({
+      policyType,
+      robot,
+      taskType,
+      layout,
+      walls,
+      randomizeTasks,
+      seed,
+      gamma,
+      learningRate,
+      speedMultiplier,
+      panels,
+      width: CANVAS_WIDTH,
+      height: CANVAS_HEIGHT,
+    }),
+    [policyType, robot, taskType, layout, walls, randomizeTasks, seed, gamma, learningRate, speedMultiplier, panels]
+  );
+  
+  // Full run log for export. A new run starts whenever the simulations
+  // restart (on a reset or a change of policy, robot, task, layout, walls,
+  // task randomization or seed); other parameter changes are logged into
+  // the current one.
+  const runLog = useMemo(
+    () => createRunLog(config),
+    [runId, policyType, robot, taskType, layout, walls, randomizeTasks, seed]
+  );
+  useEffect(() => {
+    runLog.updateConfig(config);
+  }, [runLog, config]);
+  
+  // Imported run shown as dashed reference series
+  const [reference, setReference] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const importInputRef = useRef(null);
+  
+  const handleExport = (format) => {
+    const run = runLog.toJSON();
+    const name = `reward-arena-run-seed${run.config.seed}`;
+    if (format === 'csv') {
+      downloadFile(`${name}.csv`, runToCSV(run), 'text/csv');
+    } else {
+      downloadFile(`${name}.json`, JSON.stringify(run), 'application/json');
+    }
+  };
+  
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const run = parseRun(await file.text());
+      setReference({ name: file.name, series: runToSuccessSeries(run) });
+      setImportError(null);
+    } catch (err) {
+      setImportError(`Could not import ${file.name}: ${err.message}`);
+    }
+  };
+  
   const handleRewardUpdate = useCallback((rewardType, reward) => {
     setRewards((prev) => ({ ...prev, [rewardType]: reward }));
   }, []);
@@ -39,7 +188,7 @@ function App() {
       // Update chart data
       setChartData((prevData) => {
         const newData = [...prevData];
-        const lastEntry = newData[newData.length - 1] || { sparse: 0, shaping: 0, prm: 0, semantic: 0 };
+        const lastEntry = newData[newData.length - 1] || {};
         const newEntry = { ...lastEntry, [rewardType]: count };
         newData.push(newEntry);
         
@@ -53,6 +202,18 @@ function App() {
       return newSuccesses;
     });
   }, []);
+  
+  const resetPanel = (id) => {
+    runLog.resetPanel(id);
+    setPanelResets((prev) => ({ ...prev, [id]: (prev[id] ?? 0) + 1 }));
+    handleSuccess(id, 0);
+  };
+  const resetAll = () => {
+    setRunId((prev) => prev + 1);
+    setRewards({});
+    setSuccesses({});
+    setChartData([]);
+  };
 
   return (
     <div className="min-h-screen bg-gray-50 p-4">
@@ -66,7 +227,16 @@ function App() {
 
         {/* Global Controls */}
         <div className="bg-white rounded-lg shadow-md p-6 mb-6">
-          <h2 className="text-xl font-semibold mb-4">Global Parameters</h2>
+          <div className="flex items-center mb-4">
+            <h2 className="text-xl font-semibold mr-auto">Global Parameters</h2>
+            <button
+              onClick={resetAll}
+              className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-100"
+              title="Start every panel's simulation over, with a new run log"
+            >
+              Reset All
+            </button>
+          </div>
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -82,7 +252,7 @@ function App() {
                 className="w-full"
               />
               <p className="text-xs text-gray-500 mt-1">
-                Discount factor for reward shaping
+                Regime parameter γ for panels that don't set their own; the learners keep their own discount
               </p>
             </div>
             <div>
@@ -99,7 +269,7 @@ function App() {
                 className="w-full"
               />
               <p className="text-xs text-gray-500 mt-1">
-                Learning rate for PRM
+                Regime parameter α for panels that don't set their own; the learners keep their own step sizes
               </p>
             </div>
             <div>
@@ -108,106 +278,322 @@ function App() {
               </label>
               <input
                 type="range"
-                min="1"
-                max="10"
+                min="0"
+                max={SPEED_MULTIPLIERS.length - 1}
                 step="1"
-                value={speedMultiplier}
-                onChange={(e) => setSpeedMultiplier(parseInt(e.target.value))}
+                value={SPEED_MULTIPLIERS.indexOf(speedMultiplier)}
+                onChange={(e) => setSpeedMultiplier(SPEED_MULTIPLIERS[parseInt(e.target.value)])}
                 className="w-full"
               />
               <p className="text-xs text-gray-500 mt-1">
                 Simulation speed
               </p>
             </div>
-          </div>
-        </div>
-
-        {/* Simulation Grid */}
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
-          {/* Sparse Reward */}
-          <div className="bg-white rounded-lg shadow-md p-4">
-            <h3 className="text-lg font-semibold mb-2">Sparse Reward</h3>
-            <RewardFormula rewardType="sparse" />
-            <div className="mt-4 border-2 border-gray-300 rounded overflow-hidden">
-              <SimulationCanvas
-                rewardType="sparse"
-                width={CANVAS_WIDTH}
-                height={CANVAS_HEIGHT}
-                gamma={gamma}
-                learningRate={learningRate}
-                speedMultiplier={speedMultiplier}
-                onRewardUpdate={(reward) => handleRewardUpdate('sparse', reward)}
-                onSuccess={(count) => handleSuccess('sparse', count)}
-              />
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Policy
+              </label>
+              <select
+                value={policyType}
+                onChange={(e) => setPolicyType(e.target.value)}
+                className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+              >
+                {Object.entries(POLICIES).map(([key, { label }]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                Agent behavior in every panel
+              </p>
             </div>
-          </div>
-
-          {/* Distance Shaping */}
-          <div className="bg-white rounded-lg shadow-md p-4">
-            <h3 className="text-lg font-semibold mb-2">Distance Shaping</h3>
-            <RewardFormula rewardType="shaping" />
-            <div className="mt-4 border-2 border-gray-300 rounded overflow-hidden">
-              <SimulationCanvas
-                rewardType="shaping"
-                width={CANVAS_WIDTH}
-                height={CANVAS_HEIGHT}
-                gamma={gamma}
-                learningRate={learningRate}
-                speedMultiplier={speedMultiplier}
-                onRewardUpdate={(reward) => handleRewardUpdate('shaping', reward)}
-                onSuccess={(count) => handleSuccess('shaping', count)}
-              />
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Robot
+              </label>
+              <select
+                value={robot}
+                onChange={(e) => setRobot(e.target.value)}
+                className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+              >
+                {Object.entries(ROBOTS).map(([key, { label }]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                Rewards are measured at the arm's end effector
+              </p>
             </div>
-          </div>
-
-          {/* PRM */}
-          <div className="bg-white rounded-lg shadow-md p-4">
-            <h3 className="text-lg font-semibold mb-2">Process Model (PRM)</h3>
-            <RewardFormula rewardType="prm" />
-            <div className="mt-4 border-2 border-gray-300 rounded overflow-hidden">
-              <SimulationCanvas
-                rewardType="prm"
-                width={CANVAS_WIDTH}
-                height={CANVAS_HEIGHT}
-                gamma={gamma}
-                learningRate={learningRate}
-                speedMultiplier={speedMultiplier}
-                onRewardUpdate={(reward) => handleRewardUpdate('prm', reward)}
-                onSuccess={(count) => handleSuccess('prm', count)}
-              />
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Task
+              </label>
+              <select
+                value={taskType}
+                onChange={(e) => setTaskType(e.target.value)}
+                className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+              >
+                {Object.entries(TASK_TYPES).map(([key, { label }]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                Pushing, every reward measures the block's distance to the goal
+              </p>
             </div>
-          </div>
-
-          {/* Semantic */}
-          <div className="bg-white rounded-lg shadow-md p-4">
-            <h3 className="text-lg font-semibold mb-2">Semantic Reward</h3>
-            <RewardFormula rewardType="semantic" />
-            <div className="mt-4 border-2 border-gray-300 rounded overflow-hidden">
-              <SimulationCanvas
-                rewardType="semantic"
-                width={CANVAS_WIDTH}
-                height={CANVAS_HEIGHT}
-                gamma={gamma}
-                learningRate={learningRate}
-                speedMultiplier={speedMultiplier}
-                onRewardUpdate={(reward) => handleRewardUpdate('semantic', reward)}
-                onSuccess={(count) => handleSuccess('semantic', count)}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Arena Layout
+              </label>
+              <select
+                value={layout}
+                onChange={(e) => setLayout(e.target.value)}
+                className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+              >
+                {Object.entries(LAYOUTS).map(([key, { label }]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <label className="flex items-center gap-2 text-xs text-gray-500 mt-1">
+                <input
+                  type="checkbox"
+                  checked={walls}
+                  onChange={(e) => setWalls(e.target.checked)}
+                />
+                Boundary walls
+              </label>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Run Seed
+              </label>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={seed}
+                onChange={(e) => setSeed(parseInt(e.target.value) || 1)}
+                className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
               />
+              <label className="flex items-center gap-2 text-xs text-gray-500 mt-1">
+                <input
+                  type="checkbox"
+                  checked={randomizeTasks}
+                  onChange={(e) => setRandomizeTasks(e.target.checked)}
+                />
+                Randomize start and goal every episode
+              </label>
             </div>
           </div>
         </div>
 
+        {/* Simulation Grid */}
+        <div className="flex justify-end mb-2">
+          <select
+            value=""
+            onChange={(e) => addPanel(e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1 text-sm bg-white"
+          >
+            <option value="" disabled>
+              Add panel…
+            </option>
+            {REGIME_KEYS.map((key) => (
+              <option key={key} value={key}>
+                {REGIMES[key].label}
+                {REGIMES[key].robot && ` (${ROBOTS[REGIMES[key].robot].label} only)`}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+          {panels.map((panel, index) => {
+            const regime = REGIMES[panel.rewardType];
+            const params = resolveParams(panel.rewardType, { gamma, alpha: learningRate, ...panel.params });
+            return (
+              <div key={panel.id} className="bg-white rounded-lg shadow-md p-4">
+                <div className="flex items-center gap-2 mb-2">
+                  <h3 className="text-lg font-semibold mr-auto">
+                    {regime.label}
+                    {series[index].copy > 1 && (
+                      <span className="text-gray-500"> #{series[index].copy}</span>
+                    )}
+                  </h3>
+                  <button
+                    onClick={() => duplicatePanel(panel)}
+                    className="px-2 py-0.5 text-xs border border-gray-300 rounded hover:bg-gray-100"
+                    title="Add a copy of this panel to vary its parameters side by side"
+                  >
+                    Duplicate
+                  </button>
+                  <button
+                    onClick={() => resetPanel(panel.id)}
+                    className="px-2 py-0.5 text-xs border border-gray-300 rounded hover:bg-gray-100"
+                    title="Start this panel's simulation over"
+                  >
+                    Reset
+                  </button>
+                  <button
+                    onClick={() => removePanel(panel.id)}
+                    className="px-2 py-0.5 text-xs border border-gray-300 rounded hover:bg-gray-100"
+                  >
+                    Remove
+                  </button>
+                </div>
+                {regime.robot && regime.robot !== robot && (
+                  <p className="text-xs text-amber-700 mb-2">
+                    Needs the {ROBOTS[regime.robot].label}: with this robot it rewards nothing.
+                  </p>
+                )}
+                {regime.expression ? (
+                  <RewardEditor
+                    value={panel.expression}
+                    onApply={(expression) => updatePanel(panel.id, { expression })}
+                  />
+                ) : (
+                  <RewardFormula rewardType={panel.rewardType} params={params} taskType={taskType} />
+                )}
+                {regime.model && (
+                  <PreferenceTrainer
+                    value={panel.model}
+                    config={config}
+                    onApply={(model) => updatePanel(panel.id, { model })}
+                  />
+                )}
+                <RegimeParams
+                  rewardType={panel.rewardType}
+                  params={params}
+                  overrides={panel.params}
+                  taskType={taskType}
+                  onChange={(overrides) => updatePanel(panel.id, { params: overrides })}
+                />
+                <RewardCorruption
+                  rewardType={panel.rewardType}
+                  value={panel.corruption}
+                  onChange={(corruption) => updatePanel(panel.id, { corruption })}
+                />
+                <div className="mt-4 border-2 border-gray-300 rounded overflow-hidden">
+                  <SimulationCanvas
+                    key={panelResets[panel.id] ?? 0}
+                    panelId={panel.id}
+                    rewardType={panel.rewardType}
+                    rewardParams={panel.params}
+                    customExpression={panel.expression}
+                    rewardModel={panel.model}
+                    rewardCorruption={panel.corruption}
+                    policyType={policyType}
+                    robot={robot}
+                    taskType={taskType}
+                    layout={layout}
+                    walls={walls}
+                    randomizeTasks={randomizeTasks}
+                    seed={seed}
+                    width={CANVAS_WIDTH}
+                    height={CANVAS_HEIGHT}
+                    gamma={gamma}
+                    learningRate={learningRate}
+                    speedMultiplier={speedMultiplier}
+                    runLog={runLog}
+                    onRewardUpdate={handleRewardUpdate}
+                    onSuccess={handleSuccess}
+                  />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
         {/* Analytics Chart */}
         <div className="bg-white rounded-lg shadow-md p-6">
-          <h2 className="text-xl font-semibold mb-4">Analytics</h2>
-          {chartData.length > 0 ? (
-            <SuccessChart successData={chartData} />
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            <h2 className="text-xl font-semibold mr-auto">Analytics</h2>
+            <button
+              onClick={() => handleExport('json')}
+              className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-100"
+            >
+              Export JSON
+            </button>
+            <button
+              onClick={() => handleExport('csv')}
+              className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-100"
+            >
+              Export CSV
+            </button>
+            <button
+              onClick={() => importInputRef.current?.click()}
+              className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-100"
+            >
+              Import Reference
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".json,.csv"
+              onChange={handleImport}
+              className="hidden"
+            />
+            {reference && (
+              <button
+                onClick={() => setReference(null)}
+                className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-100"
+                title={reference.name}
+              >
+                Clear Reference
+              </button>
+            )}
+          </div>
+          {importError && (
+            <p className="text-sm text-red-600 mb-2">{importError}</p>
+          )}
+          {chartData.length > 0 || reference ? (
+            <SuccessChart successData={chartData} referenceData={reference?.series} series={series} />
           ) : (
             <div className="h-64 flex items-center justify-center text-gray-500">
               Chart data will appear as agents achieve successes...
             </div>
           )}
         </div>
+
+        {/* Episode Analytics */}
+        <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+          <h2 className="text-xl font-semibold mb-4">Episode Analytics</h2>
+          <AnalyticsPanel runLog={runLog} series={series} />
+        </div>
+
+        {/* Multi-seed Experiment */}
+        <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+          <h2 className="text-xl font-semibold mb-4">Experiment</h2>
+          <ExperimentPanel
+            arms={panels.map(({ id, rewardType, params, expression, model, corruption }) => ({
+              key: id,
+              rewardType,
+              rewardParams: params,
+              customExpression: expression,
+              rewardModel: model,
+              rewardCorruption: corruption,
+            }))}
+            config={config}
+            series={series}
+          />
+        </div>
+
+        {/* Hyperparameter Sweep */}
+        <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+          <h2 className="text-xl font-semibold mb-4">Parameter Sweep</h2>
+          <SweepPanel panels={panels} series={series} config={config} />
+        </div>
+
+        {/* Shaping correctness check */}
+        <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+          <h2 className="text-xl font-semibold mb-4">Shaping Check</h2>
+          <ShapingCheckPanel panels={panels} series={series} config={config} />
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,149 @@
+import { useEffect, useState } from 'react';
+import { Line, Bar } from 'react-chartjs-2';
+import { SERIES } from './SuccessChart';
+
+const HISTOGRAM_BINS = 15;
+const RATE_WINDOW_MS = 10000; // Trailing window for the rolling success rate
+
+const baseOptions = (title, xTitle, yTitle, xType = 'linear') => ({
+  responsive: true,
+  maintainAspectRatio: false,
+  animation: false,
+  plugins: {
+    legend: { position: 'top', labels: { boxWidth: 12 } },
+    title: { display: true, text: title },
+  },
+  scales: {
+    x: { type: xType, title: { display: true, text: xTitle } },
+    y: { beginAtZero: true, title: { display: true, text: yTitle } },
+  },
+});
+
+const lineDataset = ({ label, color }, data) => ({
+  label,
+  data,
+  borderColor: `rgb(${color})`,
+  backgroundColor: `rgba(${color}, 0.1)`,
+  pointRadius: 1,
+  tension: 0.1,
+});
+
+// Episode lengths binned over a shared range, one bar group per bin
+function lengthHistogram(summary, series) {
+  const maxSteps = Math.max(
+    1,
+    ...series.flatMap(({ key }) => (summary[key]?.episodes || []).map((e) => e.steps))
+  );
+  const binWidth = Math.ceil(maxSteps / HISTOGRAM_BINS);
+  const labels = Array.from({ length: HISTOGRAM_BINS }, (_, i) => `${i * binWidth}–${(i + 1) * binWidth}`);
+  const datasets = series.map(({ key, label, color }) => {
+    const counts = new Array(HISTOGRAM_BINS).fill(0);
+    (summary[key]?.episodes || []).forEach(({ steps }) => {
+      counts[Math.min(HISTOGRAM_BINS - 1, Math.floor(steps / binWidth))]++;
+    });
+    return { label, data: counts, backgroundColor: `rgba(${color}, 0.7)` };
+  });
+  return { labels, datasets };
+}
+
+// Successes per simulated minute over a trailing window, sampled along the
+// panel's simulation clock
+function rollingSuccessRate({ episodes, time }) {
+  const interval = Math.max(1000, time / 200);
+  const points = [];
+  let first = 0;
+  let last = 0;
+  for (let t = 0; t <= time; t += interval) {
+    while (last < episodes.length && episodes[last].time <= t) last++;
+    while (first < last && episodes[first].time <= t - RATE_WINDOW_MS) first++;
+    const span = Math.min(t, RATE_WINDOW_MS) || 1;
+    points.push({ x: t / 1000, y: ((last - first) / span) * 60000 });
+  }
+  return points;
+}
+
+// Per-episode analytics for a run log, refreshed from it periodically:
+// steps to success, return, episode length histogram and rolling success rate
+export default function AnalyticsPanel({ runLog, series = SERIES, refreshMs = 1000 }) {
+  const [summary, setSummary] = useState({});
+  const [discounted, setDiscounted] = useState(false);
+
+  useEffect(() => {
+    setSummary(runLog.getSummary());
+    const interval = setInterval(() => setSummary(runLog.getSummary()), refreshMs);
+    return () => clearInterval(interval);
+  }, [runLog, refreshMs]);
+
+  const active = series.filter(({ key }) => summary[key]);
+  const hasEpisodes = active.some(({ key }) => summary[key].episodes.length > 0);
+
+  if (!hasEpisodes) {
+    return (
+      <div className="h-32 flex items-center justify-center text-gray-500">
+        Episode analytics will appear once agents finish episodes...
+      </div>
+    );
+  }
+
+  const stepsData = {
+    datasets: active.map((series) =>
+      lineDataset(series, summary[series.key].episodes.map((e) => ({ x: e.episode, y: e.steps })))
+    ),
+  };
+
+  const returnKey = discounted ? 'discountedReturn' : 'return';
+  const returnData = {
+    datasets: active.map((series) =>
+      lineDataset(series, summary[series.key].episodes.map((e) => ({ x: e.episode, y: e[returnKey] })))
+    ),
+  };
+  const returnOptions = baseOptions(
+    `${discounted ? 'Discounted' : 'Undiscounted'} Return per Episode`,
+    'Episode',
+    'Return'
+  );
+  returnOptions.scales.y.beginAtZero = false;
+
+  const rateData = {
+    datasets: active.map((series) => lineDataset(series, rollingSuccessRate(summary[series.key]))),
+  };
+
+  return (
+    <div>
+      <div className="flex justify-end mb-2">
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={discounted}
+            onChange={(e) => setDiscounted(e.target.checked)}
+          />
+          Discounted return (γ)
+        </label>
+      </div>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="h-64">
+          <Line data={stepsData} options={baseOptions('Steps to Success per Episode', 'Episode', 'Steps')} />
+        </div>
+        <div className="h-64">
+          <Line data={returnData} options={returnOptions} />
+        </div>
+        <div className="h-64">
+          <Bar
+            data={lengthHistogram(summary, active)}
+            options={baseOptions('Episode Length Distribution', 'Steps', 'Episodes', 'category')}
+          />
+        </div>
+        <div className="h-64">
+          <Line
+            data={rateData}
+            options={baseOptions(
+              `Rolling Success Rate (${RATE_WINDOW_MS / 1000}s window)`,
+              'Simulation Time (s)',
+              'Successes / min'
+            )}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
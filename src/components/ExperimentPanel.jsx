@@ -0,0 +1,205 @@
+import { useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import { SERIES } from './SuccessChart';
+import { runExperiment } from '../utils/experiment';
+
+const formatCI = ({ mean, lo, hi, n }) =>
+  n === 0 ? '—' : `${mean.toFixed(2)} [${lo.toFixed(2)}, ${hi.toFixed(2)}]`;
+
+const formatP = ({ p }) => (Number.isFinite(p) ? (p < 0.001 ? '< 0.001' : p.toFixed(3)) : '—');
+
+// Mean cumulative success rate per episode with a shaded 95% CI band: the
+// band is a hidden lower-bound dataset filled up to the upper bound
+function bandChartData(result, series) {
+  const active = series.filter(({ key }) => result.regimes[key]);
+  const episodes = Math.max(...active.map(({ key }) => result.regimes[key].curve.length));
+  const datasets = active.flatMap(({ key, label, color }) => {
+    const { curve } = result.regimes[key];
+    return [
+      {
+        label: `${label} lower`,
+        data: curve.map((c) => c.lo),
+        borderWidth: 0,
+        pointRadius: 0,
+        fill: false,
+      },
+      {
+        label: `${label} upper`,
+        data: curve.map((c) => c.hi),
+        borderWidth: 0,
+        pointRadius: 0,
+        backgroundColor: `rgba(${color}, 0.15)`,
+        fill: '-1',
+      },
+      {
+        label,
+        data: curve.map((c) => c.mean),
+        borderColor: `rgb(${color})`,
+        backgroundColor: `rgb(${color})`,
+        pointRadius: 0,
+        tension: 0.1,
+      },
+    ];
+  });
+  return { labels: Array.from({ length: episodes }, (_, i) => i + 1), datasets };
+}
+
+const bandOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  animation: false,
+  plugins: {
+    legend: {
+      position: 'top',
+      labels: { filter: (item) => !/ (lower|upper)$/.test(item.text) },
+    },
+    title: { display: true, text: 'Cumulative Success Rate (mean and 95% CI across seeds)' },
+    tooltip: { filter: (item) => !/ (lower|upper)$/.test(item.dataset.label) },
+  },
+  scales: {
+    y: { min: 0, max: 1, title: { display: true, text: 'Success Rate' } },
+    x: { title: { display: true, text: 'Episode' } },
+  },
+};
+
+// Multi-seed experiment mode: runs every arm (one per panel: a regime with
+// that panel's parameters) headless across K seeds with the current global
+// settings and compares the arms statistically
+export default function ExperimentPanel({ arms, config, series = SERIES }) {
+  const [seeds, setSeeds] = useState(10);
+  const [episodes, setEpisodes] = useState(50);
+  const [maxSteps, setMaxSteps] = useState(1000);
+  const [randomizeTasks, setRandomizeTasks] = useState(true);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const running = progress !== null;
+  const labelOf = (key) => series.find((s) => s.key === key)?.label || key;
+
+  const handleRun = async () => {
+    setProgress(0);
+    const summary = await runExperiment(
+      { ...config, arms, seeds, baseSeed: config.seed, episodes, maxSteps, randomizeTasks },
+      (done, total) => setProgress(done / total)
+    );
+    setResult(summary);
+    setProgress(null);
+  };
+
+  const numberInput = (label, value, setValue, min, max) => (
+    <label className="block text-sm text-gray-700">
+      {label}
+      <input
+        type="number"
+        min={min}
+        max={max}
+        value={value}
+        disabled={running}
+        onChange={(e) => setValue(Math.max(min, Math.min(max, parseInt(e.target.value) || min)))}
+        className="w-full border border-gray-300 rounded px-2 py-1 text-sm mt-1"
+      />
+    </label>
+  );
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 items-end mb-4">
+        {numberInput('Seeds (K)', seeds, setSeeds, 2, 100)}
+        {numberInput('Episodes per seed', episodes, setEpisodes, 1, 1000)}
+        {numberInput('Max steps per episode', maxSteps, setMaxSteps, 10, 10000)}
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={randomizeTasks}
+            disabled={running}
+            onChange={(e) => setRandomizeTasks(e.target.checked)}
+          />
+          Randomize tasks
+        </label>
+        <button
+          onClick={handleRun}
+          disabled={running}
+          className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50"
+        >
+          {running ? `Running… ${Math.round(progress * 100)}%` : 'Run Experiment'}
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        Seeds {config.seed} to {config.seed + seeds - 1}, one arm per panel with its parameters, and
+        the policy, layout and γ/α from Global Parameters. Without task randomization a deterministic policy gives every seed the same run.
+      </p>
+
+      {result && (
+        <>
+          <div className="h-72 mb-6">
+            <Line data={bandChartData(result, series)} options={bandOptions} />
+          </div>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 text-sm">
+            <table className="w-full">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="py-1">Regime</th>
+                  <th className="py-1">Success rate (95% CI)</th>
+                  <th className="py-1">Steps to goal (95% CI)</th>
+                </tr>
+              </thead>
+              <tbody className="font-mono">
+                {Object.entries(result.regimes).map(([key, r]) => (
+                  <tr key={key} className="border-b border-gray-100">
+                    <td className="py-1 font-sans">{labelOf(key)}</td>
+                    <td className="py-1">{formatCI(r.successRate)}</td>
+                    <td className="py-1">{formatCI(r.meanSteps)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <table className="w-full">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="py-1">Welch t-test</th>
+                  <th className="py-1">p (success rate)</th>
+                  <th className="py-1">p (steps)</th>
+                </tr>
+              </thead>
+              <tbody className="font-mono">
+                {result.comparisons.map(({ a, b, successRate, meanSteps }) => (
+                  <tr key={`${a}-${b}`} className="border-b border-gray-100">
+                    <td className="py-1 font-sans">{labelOf(a)} vs {labelOf(b)}</td>
+                    <td className={`py-1 ${successRate.p < 0.05 ? 'font-bold' : ''}`}>{formatP(successRate)}</td>
+                    <td className={`py-1 ${meanSteps.p < 0.05 ? 'font-bold' : ''}`}>{formatP(meanSteps)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <table className="w-full mt-6 text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="py-1">Regime</th>
+                <th className="py-1">Return, successes (95% CI)</th>
+                <th className="py-1">Return, failures (95% CI)</th>
+                <th className="py-1">Return-success correlation (95% CI)</th>
+              </tr>
+            </thead>
+            <tbody className="font-mono">
+              {Object.entries(result.regimes).map(([key, r]) => (
+                <tr key={key} className="border-b border-gray-100">
+                  <td className="py-1 font-sans">{labelOf(key)}</td>
+                  <td className="py-1">{formatCI(r.meanReturnSuccess)}</td>
+                  <td className="py-1">{formatCI(r.meanReturnFailure)}</td>
+                  <td className="py-1">{formatCI(r.correlation)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-2">
+            The return is the reward the agent collected (the proxy, for a corrupted panel) and success
+            is reaching the real goal. Failed episodes returning as much as successful ones, a
+            correlation near zero or below, is reward hacking. Seeds where every episode succeeded or
+            every one failed have no correlation and are left out.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
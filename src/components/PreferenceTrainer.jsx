@@ -0,0 +1,290 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { SimulationEngine } from '../utils/simulation';
+import { generateRewardGradient } from '../utils/rewards';
+import { REGIMES } from '../utils/regimes';
+import { createRandom, deriveSeed } from '../utils/random';
+import { REWARD_MODEL_TYPES, createRewardModel, loadRewardModel } from '../utils/rewardModel';
+import {
+  ORACLE_REGIMES,
+  collectSegments,
+  oracleAgreement,
+  oraclePreference,
+  samplePair,
+  toTrainingPairs,
+} from '../utils/preferences';
+
+// Thumbnails are drawn at this fraction of the arena size
+const THUMB_SCALE = 0.45;
+const ORACLE_BATCH = 20;
+
+// Draws one segment over the arena: obstacles, its goal and its path, from
+// the first step (dot) to the last
+function drawSegment(canvas, sim, segment, color) {
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(THUMB_SCALE, 0, 0, THUMB_SCALE, 0, 0);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, sim.width, sim.height);
+  ctx.fillStyle = '#6b7280';
+  sim.obstacles.forEach((o) => {
+    ctx.beginPath();
+    if (o.type === 'circle') {
+      ctx.arc(o.x, o.y, o.r, 0, 2 * Math.PI);
+    } else {
+      ctx.rect(o.x - o.w / 2, o.y - o.h / 2, o.w, o.h);
+    }
+    ctx.fill();
+  });
+  ctx.fillStyle = 'rgba(16, 185, 129, 0.6)';
+  ctx.beginPath();
+  ctx.arc(segment.goal.x, segment.goal.y, sim.goalRadius, 0, 2 * Math.PI);
+  ctx.fill();
+
+  const { steps } = segment;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  steps.forEach(({ x, y }, i) => {
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.stroke();
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.arc(steps[0].x, steps[0].y, 6, 0, 2 * Math.PI);
+  ctx.fill();
+  const last = steps[steps.length - 1];
+  if (last.bx !== undefined) {
+    ctx.strokeRect(last.bx - sim.boxSize / 2, last.by - sim.boxSize / 2, sim.boxSize, sim.boxSize);
+  }
+}
+
+// Draws a regime's reward landscape for the engine's goal, scaled down
+function drawSurface(canvas, sim, rewardType, customReward = null) {
+  const gradient = generateRewardGradient(sim.width, sim.height, sim.getGoalPosition(), rewardType, {
+    threshold: sim.successThreshold,
+    obstacles: sim.obstacles,
+    distanceField: sim.getDistanceField(),
+    customReward,
+    arm: sim.arm,
+    taskType: sim.taskType,
+  });
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(THUMB_SCALE, 0, 0, THUMB_SCALE, 0, 0);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, sim.width, sim.height);
+  ctx.drawImage(gradient, 0, 0);
+  const goal = sim.getGoalPosition();
+  ctx.strokeStyle = '#059669';
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.arc(goal.x, goal.y, sim.goalRadius, 0, 2 * Math.PI);
+  ctx.stroke();
+}
+
+// Trainer for the learned reward regime: collects trajectory segments with
+// the run's settings, shows them in pairs to label (by hand, or by a scripted
+// oracle judging with a reference regime), fits a reward model to the labels
+// and draws the learned reward next to the oracle's. Apply hands the model
+// (as plain data) to the panel.
+export default function PreferenceTrainer({ value, config, onApply }) {
+  const { layout, walls, robot, taskType, seed, width, height } = config;
+  const [modelType, setModelType] = useState(value?.type ?? 'linear');
+  const [oracle, setOracle] = useState('prm');
+  const [segments, setSegments] = useState(null);
+  const [pair, setPair] = useState(null);
+  const [labeled, setLabeled] = useState([]);
+  const [oracleLabels, setOracleLabels] = useState(0);
+  const [model, setModel] = useState(() => (value ? loadRewardModel(value) : null));
+  const [fit, setFit] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const randomRef = useRef(null);
+  const canvasA = useRef(null);
+  const canvasB = useRef(null);
+  const learnedCanvas = useRef(null);
+  const trueCanvas = useRef(null);
+
+  // Geometry for drawing (obstacles, goal, distance field). Headless and
+  // never stepped, so there is nothing to tear down.
+  const sim = useMemo(
+    () => new SimulationEngine(null, width, height, { layout, walls, robot, taskType }),
+    [layout, walls, robot, taskType, width, height]
+  );
+
+  // Segments belong to the settings they were recorded with
+  useEffect(() => {
+    setSegments(null);
+    setPair(null);
+    setLabeled([]);
+    setOracleLabels(0);
+    setFit(null);
+  }, [sim, seed]);
+
+  useEffect(() => {
+    if (!pair || !canvasA.current || !canvasB.current) return;
+    drawSegment(canvasA.current, sim, pair.a, 'rgb(59, 130, 246)');
+    drawSegment(canvasB.current, sim, pair.b, 'rgb(249, 115, 22)');
+  }, [pair, sim]);
+
+  useEffect(() => {
+    if (!learnedCanvas.current || !trueCanvas.current) return;
+    if (model) {
+      drawSurface(learnedCanvas.current, sim, 'learned', model);
+    }
+    drawSurface(trueCanvas.current, sim, oracle);
+  }, [model, oracle, sim]);
+
+  // Heavy work runs after the busy label has been painted
+  const runBusy = (label, work) => {
+    setBusy(label);
+    setTimeout(() => {
+      work();
+      setBusy(null);
+    }, 0);
+  };
+
+  const handleCollect = () => runBusy('Recording…', () => {
+    randomRef.current = createRandom(deriveSeed(seed, 'preferences'));
+    const collected = collectSegments({ layout, walls, robot, taskType, randomizeTasks: true, seed, width, height });
+    setSegments(collected);
+    setPair(samplePair(collected, randomRef.current));
+    setLabeled([]);
+    setOracleLabels(0);
+    setFit(null);
+  });
+
+  const label = (preferred) => {
+    if (preferred) {
+      setLabeled((prev) => [...prev, { ...pair, preferred }]);
+    }
+    setPair(samplePair(segments, randomRef.current));
+  };
+
+  const handleOracle = () => {
+    const added = [];
+    for (let tries = 0; added.length < ORACLE_BATCH && tries < 10 * ORACLE_BATCH; tries++) {
+      const candidate = samplePair(segments, randomRef.current);
+      const preferred = oraclePreference(candidate, oracle);
+      if (preferred) added.push({ ...candidate, preferred });
+    }
+    setLabeled((prev) => [...prev, ...added]);
+    setOracleLabels((prev) => prev + added.length);
+  };
+
+  const handleFit = () => runBusy('Fitting…', () => {
+    const fitted = createRewardModel({
+      type: modelType,
+      scale: Math.hypot(width, height),
+      random: createRandom(deriveSeed(seed, 'rewardModel')),
+    });
+    const { loss, accuracy } = fitted.fit(toTrainingPairs(labeled));
+    const agreement = oracleAgreement(fitted, segments, oracle, createRandom(deriveSeed(seed, 'agreement')));
+    setModel(fitted);
+    setFit({ loss, accuracy, agreement, pairs: labeled.length });
+  });
+
+  const button = 'px-2 py-1 text-xs border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50';
+  const percent = (v) => (v === null ? 'n/a' : `${Math.round(v * 100)}%`);
+  const thumb = { width: width * THUMB_SCALE, height: height * THUMB_SCALE };
+
+  return (
+    <div className="text-sm mt-2 border border-gray-200 rounded p-2">
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <button onClick={handleCollect} disabled={busy !== null} className={button}>
+          {segments ? 'Record new segments' : 'Record segments'}
+        </button>
+        <label className="text-xs text-gray-600">
+          Model{' '}
+          <select
+            value={modelType}
+            onChange={(e) => setModelType(e.target.value)}
+            className="border border-gray-300 rounded px-1 py-0.5"
+          >
+            {Object.entries(REWARD_MODEL_TYPES).map(([key, { label: typeLabel }]) => (
+              <option key={key} value={key}>{typeLabel}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          Oracle{' '}
+          <select
+            value={oracle}
+            onChange={(e) => setOracle(e.target.value)}
+            className="border border-gray-300 rounded px-1 py-0.5"
+          >
+            {ORACLE_REGIMES.map((key) => (
+              <option key={key} value={key}>{REGIMES[key].label}</option>
+            ))}
+          </select>
+        </label>
+        {busy && <span className="text-xs text-gray-500">{busy}</span>}
+      </div>
+
+      {pair && (
+        <>
+          <div className="flex gap-2 mb-1">
+            <div>
+              <canvas ref={canvasA} width={thumb.width} height={thumb.height} className="border border-gray-300 rounded" />
+              <div className="text-xs text-blue-600">A</div>
+            </div>
+            <div>
+              <canvas ref={canvasB} width={thumb.width} height={thumb.height} className="border border-gray-300 rounded" />
+              <div className="text-xs text-orange-600">B</div>
+            </div>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 mb-2">
+            <button onClick={() => label('a')} className={button}>A is better</button>
+            <button onClick={() => label('b')} className={button}>B is better</button>
+            <button onClick={() => label(null)} className={button}>Skip</button>
+            <button onClick={handleOracle} className={button} title={`Label ${ORACLE_BATCH} random pairs by the oracle's return`}>
+              Oracle: label {ORACLE_BATCH}
+            </button>
+            <span className="text-xs text-gray-600">
+              {labeled.length} labeled ({oracleLabels} by the oracle)
+            </span>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 mb-2">
+            <button onClick={handleFit} disabled={labeled.length === 0 || busy !== null} className={button}>
+              Fit reward model
+            </button>
+            <button
+              onClick={() => onApply(model.toJSON())}
+              disabled={!fit || busy !== null}
+              className={button}
+            >
+              Apply
+            </button>
+            {fit && (
+              <span className="text-xs text-gray-600">
+                {fit.pairs} pairs · loss {fit.loss.toFixed(3)} · label accuracy {percent(fit.accuracy)} ·
+                agrees with the oracle on {percent(fit.agreement)} of new pairs
+              </span>
+            )}
+          </div>
+        </>
+      )}
+      {!segments && (
+        <p className="text-xs text-gray-500 mb-2">
+          Records random-walk and epsilon-greedy episodes with the current layout, robot and task
+          (tasks randomized), cut into 20-step segments to compare.
+        </p>
+      )}
+
+      <div className="flex gap-2">
+        <div>
+          {model ? (
+            <canvas ref={learnedCanvas} width={thumb.width} height={thumb.height} className="border border-gray-300 rounded" />
+          ) : (
+            <div style={thumb} className="border border-gray-300 rounded flex items-center justify-center text-xs text-gray-500">
+              Not fitted yet
+            </div>
+          )}
+          <div className="text-xs text-gray-600">Learned reward</div>
+        </div>
+        <div>
+          <canvas ref={trueCanvas} width={thumb.width} height={thumb.height} className="border border-gray-300 rounded" />
+          <div className="text-xs text-gray-600">True reward ({REGIMES[oracle].shortLabel})</div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import { REGIMES } from '../utils/regimes';
+
+// Sliders (and selects, for parameters with `options`) for parameter specs
+// in the registry's format, as [name, spec] pairs. `values` are the
+// effective values and `overrides` the ones set here; a value that is not
+// overridden can be reset to its default (or whatever it follows).
+export function ParamSliders({ specs, values, overrides, onChange }) {
+  const set = (name, value) => onChange({ ...overrides, [name]: value });
+  const unset = (name) => {
+    const { [name]: _, ...rest } = overrides;
+    onChange(rest);
+  };
+
+  return (
+    <div className="grid grid-cols-2 gap-x-4 gap-y-2 mt-2 text-xs text-gray-600">
+      {specs.map(([name, spec]) => (
+        <div key={name}>
+          <div className="flex items-center justify-between mb-1">
+            <span>
+              {spec.label} ({spec.symbol}){spec.options ? '' : `: ${values[name]}`}
+            </span>
+            {name in overrides && (
+              <button
+                onClick={() => unset(name)}
+                className="text-gray-400 hover:text-gray-700"
+                title="Back to the global or default value"
+              >
+                reset
+              </button>
+            )}
+          </div>
+          {spec.options ? (
+            <select
+              value={values[name]}
+              onChange={(e) => set(name, e.target.value)}
+              className="w-full border border-gray-300 rounded px-1 py-0.5"
+            >
+              {Object.entries(spec.options).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type="range"
+              min={spec.min}
+              max={spec.max}
+              step={spec.step}
+              value={values[name]}
+              onChange={(e) => set(name, parseFloat(e.target.value))}
+              className="w-full"
+            />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Per-panel controls for a regime's parameters. `params` are the effective
+// values and `overrides` the ones this panel set itself; a parameter that is
+// not overridden follows the global slider (γ, α) or its default. Parameters
+// of another task type (e.g. the push task's β) are hidden.
+export default function RegimeParams({ rewardType, params, overrides, onChange, taskType = 'reach' }) {
+  const specs = Object.entries(REGIMES[rewardType].params)
+    .filter(([, spec]) => (spec.taskType ?? taskType) === taskType);
+  if (specs.length === 0) return null;
+
+  return <ParamSliders specs={specs} values={params} overrides={overrides} onChange={onChange} />;
+}
@@ -0,0 +1,130 @@
+import { useEffect, useRef } from 'react';
+
+const TRACE_HEIGHT = 40;
+
+// Reward per step as a polyline, with a marker at the current step
+function drawRewardTrace(canvas, steps, stepIndex) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = '#f3f4f6';
+  ctx.fillRect(0, 0, width, height);
+  if (steps.length === 0) return;
+
+  let min = Infinity;
+  let max = -Infinity;
+  steps.forEach(({ reward }) => {
+    min = Math.min(min, reward);
+    max = Math.max(max, reward);
+  });
+  const range = max - min || 1;
+  const xAt = (i) => (steps.length > 1 ? (i / (steps.length - 1)) * (width - 1) : 0);
+  const yAt = (r) => height - 2 - ((r - min) / range) * (height - 4);
+
+  // Zero line when rewards change sign
+  if (min < 0 && max > 0) {
+    ctx.strokeStyle = '#d1d5db';
+    ctx.beginPath();
+    ctx.moveTo(0, yAt(0));
+    ctx.lineTo(width, yAt(0));
+    ctx.stroke();
+  }
+
+  ctx.strokeStyle = '#3b82f6';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  steps.forEach(({ reward }, i) => {
+    if (i === 0) ctx.moveTo(xAt(i), yAt(reward));
+    else ctx.lineTo(xAt(i), yAt(reward));
+  });
+  ctx.stroke();
+
+  ctx.strokeStyle = '#ef4444';
+  ctx.beginPath();
+  ctx.moveTo(xAt(stepIndex), 0);
+  ctx.lineTo(xAt(stepIndex), height);
+  ctx.stroke();
+}
+
+export default function ReplayControls({ episodes, replay, width, onChange, onExit }) {
+  const traceRef = useRef(null);
+  const { episode, stepIndex, playing } = replay;
+  const lastIndex = episode.steps.length - 1;
+  const step = episode.steps[stepIndex];
+
+  useEffect(() => {
+    if (!traceRef.current) return;
+    drawRewardTrace(traceRef.current, episode.steps, stepIndex);
+  }, [episode, stepIndex]);
+
+  const seek = (index) => onChange({ stepIndex: Math.max(0, Math.min(lastIndex, index)) });
+
+  // Click on the trace to jump to that step
+  const handleTraceClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    seek(Math.round(((e.clientX - rect.left) / rect.width) * lastIndex));
+  };
+
+  const buttonClass = 'px-2 py-0.5 border border-gray-300 rounded bg-white hover:bg-gray-100';
+
+  return (
+    <div className="p-2 bg-gray-50 border-t border-gray-300 text-xs" style={{ width }}>
+      <div className="flex items-center gap-2 mb-2">
+        <select
+          value={episode.index}
+          onChange={(e) => {
+            const selected = episodes.find((ep) => ep.index === parseInt(e.target.value));
+            if (selected) onChange({ episode: selected, stepIndex: 0, playing: false });
+          }}
+          className="border border-gray-300 rounded px-1 py-0.5"
+        >
+          {episodes.map((ep) => (
+            <option key={ep.index} value={ep.index}>
+              Episode {ep.index} ({ep.steps.length} steps{ep.success ? '' : ', unfinished'})
+            </option>
+          ))}
+        </select>
+        <button className={buttonClass} onClick={() => seek(stepIndex - 1)} title="Step back">
+          ◀
+        </button>
+        <button
+          className={buttonClass}
+          onClick={() => onChange({
+            playing: !playing,
+            stepIndex: !playing && stepIndex >= lastIndex ? 0 : stepIndex,
+          })}
+        >
+          {playing ? 'Pause' : 'Play'}
+        </button>
+        <button className={buttonClass} onClick={() => seek(stepIndex + 1)} title="Step forward">
+          ▶
+        </button>
+        <button className={`${buttonClass} ml-auto`} onClick={onExit}>
+          Back to live
+        </button>
+      </div>
+      <input
+        type="range"
+        min="0"
+        max={lastIndex}
+        step="1"
+        value={stepIndex}
+        onChange={(e) => seek(parseInt(e.target.value))}
+        className="w-full"
+      />
+      <canvas
+        ref={traceRef}
+        width={width - 16}
+        height={TRACE_HEIGHT}
+        onClick={handleTraceClick}
+        className="w-full cursor-pointer rounded"
+      />
+      {step && (
+        <div className="font-mono text-gray-700 mt-1">
+          Step {stepIndex}/{lastIndex} · r = {step.reward.toFixed(3)} · d = {step.distance.toFixed(1)} ·
+          v = ({step.vx.toFixed(2)}, {step.vy.toFixed(2)}){step.done ? ' · done' : ''}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import { ParamSliders } from './RegimeParams';
+import { corruptionsFor, isCorrupted, resolveCorruption } from '../utils/corruption';
+
+// Per-panel reward corruption (see utils/corruption.js), folded away until
+// opened. `value` holds the corruption values this panel set; the rest stay
+// at their defaults, which leave the reward as it is.
+export default function RewardCorruption({ rewardType, value, onChange }) {
+  const active = isCorrupted(value);
+
+  return (
+    <details className="mt-2 text-xs text-gray-600">
+      <summary className="cursor-pointer select-none">
+        Reward corruption{' '}
+        <span className={active ? 'text-amber-700' : 'text-gray-400'}>
+          ({active ? 'on: the panel optimizes a proxy' : 'off'})
+        </span>
+      </summary>
+      <ParamSliders
+        specs={corruptionsFor(rewardType)}
+        values={resolveCorruption(value)}
+        overrides={value}
+        onChange={onChange}
+      />
+      <p className="mt-1 text-gray-500">
+        Noise and delay hit the rewards the agent receives; the distractor hill (dashed on the overlay,
+        in the regime's reward units) and the σ bias change the reward itself. Success still means
+        reaching the real goal.
+      </p>
+    </details>
+  );
+}
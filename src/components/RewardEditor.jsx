@@ -0,0 +1,54 @@
+import { useMemo, useState } from 'react';
+import { InlineMath } from 'react-katex';
+import 'katex/dist/katex.min.css';
+import { EXPRESSION_VARIABLES, tryCompileExpression } from '../utils/expression';
+
+// Editor for the custom reward expression. The draft is parsed on every
+// keystroke for the preview; the panel only restarts with it on Apply.
+export default function RewardEditor({ value, onApply }) {
+  const [draft, setDraft] = useState(value);
+  const { expression, error } = useMemo(() => tryCompileExpression(draft), [draft]);
+
+  return (
+    <div className="text-sm">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && expression) onApply(draft);
+          }}
+          spellCheck={false}
+          className={`flex-1 font-mono border rounded px-2 py-1 text-sm ${
+            error ? 'border-red-400' : 'border-gray-300'
+          }`}
+        />
+        <button
+          onClick={() => onApply(draft)}
+          disabled={!expression || draft === value}
+          className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50"
+        >
+          Apply
+        </button>
+      </div>
+      <div className="text-gray-700 bg-gray-100 p-2 rounded mt-2 overflow-x-auto min-h-[2.5rem]">
+        {expression ? (
+          <InlineMath math={`R = ${expression.tex}`} />
+        ) : (
+          <span className="text-red-600">{error.message}</span>
+        )}
+      </div>
+      <div className="flex flex-wrap gap-1 mt-2 text-xs text-gray-600">
+        {Object.entries(EXPRESSION_VARIABLES).map(([name, { description }]) => (
+          <code key={name} title={description} className="bg-gray-100 px-1 rounded">
+            {name}
+          </code>
+        ))}
+        <span className="ml-1">
+          · sqrt exp log abs min max clamp if · comparisons give 1 or 0
+        </span>
+      </div>
+    </div>
+  );
+}
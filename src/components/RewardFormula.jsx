@@ -1,43 +1,22 @@
-import { InlineMath, BlockMath } from 'react-katex';
+import { InlineMath } from 'react-katex';
 import 'katex/dist/katex.min.css';
+import { REGIMES, formulaFor, whereFor, resolveParams } from '../utils/regimes';
 
-export default function RewardFormula({ rewardType }) {
-  switch (rewardType) {
-    case 'sparse':
-      return (
-        <div className="text-sm text-gray-700 bg-gray-100 p-2 rounded">
-          <InlineMath math="R(s) = \begin{cases} 1.0 & \text{if } d(s, g) < \theta \\ 0.0 & \text{otherwise} \end{cases}" />
+export default function RewardFormula({ rewardType, params = resolveParams(rewardType), taskType = 'reach' }) {
+  const regime = REGIMES[rewardType];
+  if (!regime?.formula) return null;
+  const where = whereFor(rewardType, params, taskType);
+  
+  return (
+    <div className="text-sm text-gray-700 bg-gray-100 p-2 rounded">
+      <div className={where ? 'mb-1' : ''}>
+        <InlineMath math={formulaFor(rewardType, params, taskType)} />
+      </div>
+      {where && (
+        <div className="text-xs text-gray-600">
+          where <InlineMath math={where.math} />{where.text}
         </div>
-      );
-    case 'shaping':
-      return (
-        <div className="text-sm text-gray-700 bg-gray-100 p-2 rounded">
-          <div className="mb-1">
-            <InlineMath math="R_{\text{shaped}} = R_{\text{base}} + \gamma \Phi(s') - \Phi(s)" />
-          </div>
-          <div className="text-xs text-gray-600">
-            where <InlineMath math="\Phi(s) = -d(s, g)" />
-          </div>
-        </div>
-      );
-    case 'prm':
-      return (
-        <div className="text-sm text-gray-700 bg-gray-100 p-2 rounded">
-          <div className="mb-1">
-            <InlineMath math="R_{\text{PRM}} = \alpha \cdot \hat{p} \cdot (1 - \frac{d}{d_{\text{max}}})" />
-          </div>
-          <div className="text-xs text-gray-600">
-            where <InlineMath math="\hat{p}" /> is predicted progress
-          </div>
-        </div>
-      );
-    case 'semantic':
-      return (
-        <div className="text-sm text-gray-700 bg-gray-100 p-2 rounded">
-          <InlineMath math="R_{\text{semantic}} = \exp\left(-\frac{d^2}{2\sigma^2}\right)" />
-        </div>
-      );
-    default:
-      return null;
-  }
+      )}
+    </div>
+  );
 }
@@ -0,0 +1,268 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { SimulationEngine } from '../utils/simulation';
+import { REGIMES, resolveParams } from '../utils/regimes';
+import { loadCustomReward } from '../utils/rewardModel';
+import { CELL, MOVES, checkShaping } from '../utils/shapingCheck';
+
+const POLICY_LABELS = {
+  optimal: 'Optimal policy of the shaped reward',
+  greedy: 'One-step greedy on the shaped reward',
+};
+const CELL_SIZES = [5, 10, 20];
+
+const percent = (v) => `${(v * 100).toFixed(1)}%`;
+
+// Draws the arena and one policy's cell map: disagreeing cells red, with the
+// policy's move (orange) against an optimal move of the task (blue); agreeing
+// cells faint green, cells that can't reach the goal gray
+function drawCheck(canvas, sim, result, policyKey) {
+  const ctx = canvas.getContext('2d');
+  const { cols, cellSize, bestMoves } = result;
+  const { status, moves } = result[policyKey];
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  const fills = {
+    [CELL.agree]: 'rgba(34, 197, 94, 0.15)',
+    [CELL.disagree]: 'rgba(239, 68, 68, 0.45)',
+    [CELL.unreachable]: 'rgba(156, 163, 175, 0.4)',
+    [CELL.goal]: 'rgba(16, 185, 129, 0.6)',
+  };
+  status.forEach((value, s) => {
+    if (!fills[value]) return;
+    ctx.fillStyle = fills[value];
+    ctx.fillRect((s % cols) * cellSize, Math.floor(s / cols) * cellSize, cellSize, cellSize);
+  });
+
+  ctx.fillStyle = '#6b7280';
+  sim.obstacles.forEach((o) => {
+    ctx.beginPath();
+    if (o.type === 'circle') {
+      ctx.arc(o.x, o.y, o.r, 0, 2 * Math.PI);
+    } else {
+      ctx.rect(o.x - o.w / 2, o.y - o.h / 2, o.w, o.h);
+    }
+    ctx.fill();
+  });
+
+  const arrow = (s, move, color) => {
+    const [dx, dy] = MOVES[move];
+    const x = ((s % cols) + 0.5) * cellSize;
+    const y = (Math.floor(s / cols) + 0.5) * cellSize;
+    const length = (0.45 * cellSize) / Math.hypot(dx, dy);
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + dx * length, y + dy * length);
+    ctx.stroke();
+  };
+  ctx.lineWidth = 1.5;
+  status.forEach((value, s) => {
+    if (value !== CELL.disagree || cellSize < 10) return;
+    arrow(s, bestMoves[s], 'rgb(37, 99, 235)');
+    arrow(s, moves[s], 'rgb(234, 88, 12)');
+  });
+}
+
+// Shaping correctness check (see utils/shapingCheck.js) for one panel's
+// regime and parameters, on the run's layout and first goal: runs value
+// iteration for the task's sparse reward and for the shaped one, reports
+// how often the shaped policies pick a move that is optimal for the task,
+// and maps the cells where they don't.
+export default function ShapingCheckPanel({ panels, series, config }) {
+  const { layout, walls, robot, taskType, randomizeTasks, seed, width, height } = config;
+  const [panelId, setPanelId] = useState(panels[0]?.id ?? '');
+  const panel = panels.find((p) => p.id === panelId) ?? panels[0];
+  const [gamma, setGamma] = useState(config.gamma);
+  const [cellSize, setCellSize] = useState(10);
+  const [zeroGoalPotential, setZeroGoalPotential] = useState(false);
+  const [policyKey, setPolicyKey] = useState('optimal');
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const canvasRef = useRef(null);
+
+  // Geometry and the first goal of the run. Headless and never stepped, so
+  // there is nothing to tear down.
+  const sim = useMemo(
+    () => new SimulationEngine(null, width, height, { layout, walls, randomizeTasks, seed }),
+    [layout, walls, randomizeTasks, seed, width, height]
+  );
+
+  // Results belong to the arena they were computed in
+  useEffect(() => {
+    setResult(null);
+  }, [sim]);
+
+  useEffect(() => {
+    if (result && canvasRef.current) {
+      drawCheck(canvasRef.current, sim, result, policyKey);
+    }
+  }, [result, policyKey, sim]);
+
+  if (!panel) return <p className="text-sm text-gray-500">Add a panel to check its reward.</p>;
+  const supported = robot === 'pointMass' && taskType === 'reach';
+
+  const handleRun = () => {
+    const params = resolveParams(panel.rewardType, {
+      gamma: config.gamma,
+      alpha: config.learningRate,
+      ...panel.params,
+    });
+    setBusy(true);
+    // The check runs after the busy label has been painted
+    setTimeout(() => {
+      const check = checkShaping({
+        rewardType: panel.rewardType,
+        params,
+        customReward: loadCustomReward(panel.expression, panel.model),
+        goal: sim.getGoalPosition(),
+        obstacles: sim.obstacles,
+        distanceField: sim.getDistanceField(),
+        threshold: sim.successThreshold,
+        width,
+        height,
+        gamma,
+        zeroGoalPotential,
+        cellSize,
+        agentRadius: sim.agentRadius,
+      });
+      setResult({
+        ...check,
+        gamma,
+        zeroGoalPotential,
+        shapingGamma: params.gamma,
+        label: series.find((s) => s.key === panel.id)?.label ?? REGIMES[panel.rewardType].label,
+      });
+      setBusy(false);
+    }, 0);
+  };
+
+  const policy = result?.[policyKey];
+  const converged = result && result.base.converged && result.shaped.converged;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end gap-4 mb-4 text-sm text-gray-700">
+        <label className="block">
+          Panel
+          <select
+            value={panel.id}
+            onChange={(e) => setPanelId(e.target.value)}
+            className="w-full border border-gray-300 rounded px-2 py-1 text-sm mt-1"
+          >
+            {panels.map((p) => (
+              <option key={p.id} value={p.id}>
+                {series.find((s) => s.key === p.id)?.label ?? REGIMES[p.rewardType].label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          Value iteration γ
+          <input
+            type="number"
+            min="0.5"
+            max="0.999"
+            step="0.01"
+            value={gamma}
+            onChange={(e) => setGamma(Math.max(0.5, Math.min(0.999, parseFloat(e.target.value) || 0.5)))}
+            className="w-24 border border-gray-300 rounded px-2 py-1 text-sm mt-1 block"
+          />
+        </label>
+        <label className="block">
+          Cell size
+          <select
+            value={cellSize}
+            onChange={(e) => setCellSize(parseInt(e.target.value))}
+            className="w-full border border-gray-300 rounded px-2 py-1 text-sm mt-1"
+          >
+            {CELL_SIZES.map((size) => (
+              <option key={size} value={size}>{size} px</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={zeroGoalPotential}
+            onChange={(e) => setZeroGoalPotential(e.target.checked)}
+          />
+          Φ = 0 at the goal
+        </label>
+        <button
+          onClick={handleRun}
+          disabled={busy || !supported}
+          className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50"
+        >
+          {busy ? 'Checking…' : 'Run Check'}
+        </button>
+      </div>
+      {!supported && (
+        <p className="text-sm text-amber-700 mb-2">
+          The check covers the point mass reaching the goal; switch the robot and task to run it.
+        </p>
+      )}
+
+      {result && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div>
+            <select
+              value={policyKey}
+              onChange={(e) => setPolicyKey(e.target.value)}
+              className="border border-gray-300 rounded px-2 py-1 text-sm mb-2"
+            >
+              {Object.entries(POLICY_LABELS).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+            <canvas ref={canvasRef} width={width} height={height} className="border-2 border-gray-300 rounded" />
+            <p className="text-xs text-gray-500 mt-1">
+              Red: the policy's move (orange) is not optimal for the task (an optimal one in blue). Gray: the
+              goal can't be reached.
+            </p>
+          </div>
+          <div className="text-sm text-gray-700 space-y-2">
+            <p className="font-medium">
+              {result.label}:{' '}
+              {policy.agreement === 1 ? (
+                <span className="text-green-700">the policies agree everywhere</span>
+              ) : (
+                <span className="text-red-700">
+                  the policies disagree in {percent(1 - policy.agreement)} of the cells
+                </span>
+              )}
+            </p>
+            <table className="text-xs">
+              <tbody>
+                {Object.entries(POLICY_LABELS).map(([key, label]) => (
+                  <tr key={key}>
+                    <td className="pr-4">{label}</td>
+                    <td>optimal for the task in {percent(result[key].agreement)} of {result.compared} cells</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-600">
+              Value iteration with γ = {result.gamma}: {result.base.iterations} sweeps for the task's sparse
+              reward, {result.shaped.iterations} for the shaped one
+              {converged ? '.' : ', without converging: the values are approximate.'}
+            </p>
+            {result.potentialBased ? (
+              <p className="text-xs text-gray-600">
+                Potential-based shaping keeps the optimal policy when it discounts Φ with the γ the values are
+                discounted with
+                {result.shapingGamma !== undefined && ` (γ_s = ${result.shapingGamma} here, against ${result.gamma})`}{' '}
+                and Φ is 0 at the goal.
+                {!result.zeroGoalPotential && " This regime's Φ is not: check Φ = 0 at the goal for the consistent version."}
+              </p>
+            ) : (
+              <p className="text-xs text-gray-600">
+                This reward is not potential-based, so nothing guarantees that it keeps the optimal policy.
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,311 +1,675 @@
-import { useEffect, useRef, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { SimulationEngine } from '../utils/simulation';
-import {
-  calculateSparseReward,
-  calculateDistanceShapingReward,
-  calculatePRMReward,
-  calculateSemanticReward,
-  generateRewardGradient,
-} from '../utils/rewards';
+import { generateRewardContours, generateRewardGradient } from '../utils/rewards';
+import { computeDistanceField } from '../utils/geodesic';
+import { resolveParams } from '../utils/regimes';
+import { loadCustomReward } from '../utils/rewardModel';
+import { isCorrupted, resolveCorruption } from '../utils/corruption';
+import { createEpisodeRecorder } from '../utils/recorder';
+import ReplayControls from './ReplayControls';
 
+// Draws V(s) per grid cell as orange intensity, normalized to the current
+// min/max so the shape stays visible while the values are still small
+function drawValueGrid(canvas, { cols, rows, cellSize, values }) {
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach((v) => {
+    min = Math.min(min, v);
+    max = Math.max(max, v);
+  });
+  const range = max - min;
+  if (range <= 0) return;
+  
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const intensity = (values[row * cols + col] - min) / range;
+      ctx.fillStyle = `rgba(249, 115, 22, ${(intensity * 0.6).toFixed(3)})`;
+      ctx.fillRect(col * cellSize, row * cellSize, cellSize, cellSize);
+    }
+  }
+}
+
+// Draws the policy's preferred direction per grid cell as an arrow, and the
+// agent's trail in this episode (the engine's position history)
+function drawPolicyOverlay(canvas, sim, directionGrid, { quiver, trail }) {
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  
+  if (quiver && directionGrid) {
+    const { cols, rows, cellSize, directions } = directionGrid;
+    const length = cellSize * 0.4;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const idx = (row * cols + col) * 2;
+        const dx = directions[idx];
+        const dy = directions[idx + 1];
+        if (Number.isNaN(dx)) continue;
+        // Shaft through the cell center, and a two-stroke head at the tip
+        const x = (col + 0.5) * cellSize;
+        const y = (row + 0.5) * cellSize;
+        const tipX = x + dx * length;
+        const tipY = y + dy * length;
+        ctx.moveTo(x - dx * length, y - dy * length);
+        ctx.lineTo(tipX, tipY);
+        ctx.moveTo(tipX - (dx - dy * 0.6) * length * 0.5, tipY - (dy + dx * 0.6) * length * 0.5);
+        ctx.lineTo(tipX, tipY);
+        ctx.lineTo(tipX - (dx + dy * 0.6) * length * 0.5, tipY - (dy - dx * 0.6) * length * 0.5);
+      }
+    }
+    ctx.stroke();
+  }
+  
+  const history = sim.positionHistory;
+  if (trail && history.length > 1) {
+    ctx.strokeStyle = 'rgba(250, 204, 21, 0.9)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    history.forEach(({ x, y }, i) => {
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+  }
+}
+
+// Landscape options for the engine's layout and the given goal
+function landscapeOptions(sim, params, goal) {
+  const current = sim.getGoalPosition();
+  const distanceField = goal.x === current.x && goal.y === current.y
+    ? sim.getDistanceField()
+    : computeDistanceField(sim.width, sim.height, goal, sim.obstacles, { padding: sim.agentRadius });
+  return {
+    params,
+    threshold: sim.successThreshold,
+    obstacles: sim.obstacles,
+    distanceField,
+    customReward: sim.customReward,
+    arm: sim.arm,
+    taskType: sim.taskType,
+    corruption: sim.rewardCorruption,
+  };
+}
+
+// Reward landscape for the engine's layout and the given goal (the engine's
+// current goal unless replaying an older episode)
+function renderRewardGradient(sim, rewardType, params, goal = sim.getGoalPosition()) {
+  return generateRewardGradient(sim.width, sim.height, goal, rewardType, landscapeOptions(sim, params, goal));
+}
+
+// Renders the reward landscape for the engine's current goal and layout
+// into the background canvas, and its contour lines into `contourCanvas`
+// if given
+function drawRewardBackground(canvas, sim, rewardType, params, contourCanvas = null) {
+  const gradientCanvas = renderRewardGradient(sim, rewardType, params);
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(gradientCanvas, 0, 0);
+  if (contourCanvas) {
+    drawRewardContours(contourCanvas, sim, rewardType, params);
+  }
+  return gradientCanvas;
+}
+
+function drawRewardContours(canvas, sim, rewardType, params) {
+  const goal = sim.getGoalPosition();
+  const contours = generateRewardContours(sim.width, sim.height, goal, rewardType, landscapeOptions(sim, params, goal));
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(contours, 0, 0);
+}
+
+// Overlays over the reward landscape, toggled per panel
+const OVERLAYS = {
+  contours: 'Contours',
+  quiver: 'Policy arrows',
+  trail: 'Trail',
+  value: 'Value',
+};
+
+// Draws one recorded step of an episode over its own reward landscape:
+// obstacles, goal, the trail so far, the block when pushing and the agent
+function drawReplayFrame(canvas, sim, gradientCanvas, episode, stepIndex) {
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(gradientCanvas, 0, 0);
+  
+  ctx.fillStyle = '#6b7280';
+  sim.obstacles.forEach((o) => {
+    ctx.beginPath();
+    if (o.type === 'circle') {
+      ctx.arc(o.x, o.y, o.r, 0, 2 * Math.PI);
+    } else {
+      ctx.rect(o.x - o.w / 2, o.y - o.h / 2, o.w, o.h);
+    }
+    ctx.fill();
+  });
+  
+  ctx.fillStyle = '#10b981';
+  ctx.beginPath();
+  ctx.arc(episode.goal.x, episode.goal.y, sim.goalRadius, 0, 2 * Math.PI);
+  ctx.fill();
+  
+  const steps = episode.steps.slice(0, stepIndex + 1);
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  steps.forEach(({ x, y }, i) => {
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.stroke();
+  
+  const { x, y, bx, by } = steps[steps.length - 1];
+  if (bx !== undefined) {
+    ctx.fillStyle = '#f59e0b';
+    ctx.fillRect(bx - sim.boxSize / 2, by - sim.boxSize / 2, sim.boxSize, sim.boxSize);
+  }
+  ctx.fillStyle = '#3b82f6';
+  ctx.strokeStyle = '#1e40af';
+  ctx.beginPath();
+  ctx.arc(x, y, sim.agentRadius, 0, 2 * Math.PI);
+  ctx.fill();
+  ctx.stroke();
+}
+
+// `panelId` keys the panel in the run log and callbacks (defaults to the
+// regime, but two panels can share a regime). `rewardParams` are the panel's
+// own parameter values, over the global γ and α sliders, `customExpression`
+// the source of an expression-driven regime's reward, `rewardModel` the
+// saved model of the learned regime and `rewardCorruption` the panel's
+// reward corruption values (see utils/corruption.js). While the reward is
+// corrupted, the HUD also shows the proxy return of the episode in progress.
+//
+// Overlays: contour lines of the reward landscape, the policy's preferred
+// direction on a grid (for policies that have one), the agent's trail in
+// this episode and the learned value function (for learners that keep one).
+// The arrows and values are refreshed a few times per second.
+//
+// The run persists while parameters change: reward parameters, the
+// expression, the model, the corruption and the speed apply live, and the
+// callbacks may change identity freely. Only the regime, policy, robot,
+// task, layout, task options, size and run log start a new run; to start
+// over otherwise, remount the component.
 export default function SimulationCanvas({
+  panelId = null,
   rewardType,
+  rewardParams: paramOverrides = null,
+  customExpression = null,
+  rewardModel = null,
+  rewardCorruption: corruption = null,
+  policyType = 'greedy',
+  robot = 'pointMass',
+  taskType = 'reach',
+  layout = 'open',
+  walls = true,
+  randomizeTasks = false,
+  seed = 1,
   width,
   height,
   gamma,
   learningRate,
   speedMultiplier,
+  runLog,
   onRewardUpdate,
   onSuccess,
 }) {
+  const key = panelId ?? rewardType;
+  const customReward = useMemo(
+    () => loadCustomReward(customExpression, rewardModel),
+    [customExpression, rewardModel]
+  );
+  const rewardCorruption = useMemo(
+    () => (isCorrupted(corruption) ? resolveCorruption(corruption) : null),
+    [corruption]
+  );
+  const rewardParams = useMemo(
+    () => resolveParams(rewardType, { gamma, alpha: learningRate, ...paramOverrides }),
+    [rewardType, gamma, learningRate, paramOverrides]
+  );
+  // Current values of everything that applies live, for the running loop
+  const liveRef = useRef(null);
+  liveRef.current = {
+    rewardParams,
+    customExpression,
+    rewardModel,
+    customReward,
+    rewardCorruption,
+    gamma,
+    learningRate,
+    speedMultiplier,
+    onRewardUpdate,
+    onSuccess,
+  };
+  const workerRef = useRef(null);
   const canvasRef = useRef(null);
   const backgroundCanvasRef = useRef(null);
+  const valueCanvasRef = useRef(null);
+  const contourCanvasRef = useRef(null);
+  const policyCanvasRef = useRef(null);
+  const directionGridRef = useRef(null);
+  const [overlays, setOverlays] = useState({ contours: false, quiver: false, trail: false, value: true });
+  const overlaysRef = useRef(overlays);
+  overlaysRef.current = overlays;
+  const [provides, setProvides] = useState({ valueGrid: false, directions: false });
   const simulationRef = useRef(null);
   const animationFrameRef = useRef(null);
-  const previousPosRef = useRef(null);
   const [currentReward, setCurrentReward] = useState(0);
   const [cumulativeSuccesses, setCumulativeSuccesses] = useState(0);
   const [currentDistance, setCurrentDistance] = useState(0);
+  const [proxyReturn, setProxyReturn] = useState(0);
+  const [policyStats, setPolicyStats] = useState(null);
   const gradientImageRef = useRef(null);
   
-  // Policy state: momentum and reward history
-  const momentumRef = useRef({ x: 0, y: 0 });
-  const rewardHistoryRef = useRef([]);
-  const lastRewardRef = useRef(0);
+  // Episode recording and replay. While replaying, the live simulation is
+  // paused and the replay canvas covers it.
+  const recorderRef = useRef(null);
+  const replayCanvasRef = useRef(null);
+  const replayGradientRef = useRef(null);
+  const replayingRef = useRef(false);
+  const [episodes, setEpisodes] = useState([]);
+  const [replay, setReplay] = useState(null);
 
   useEffect(() => {
     if (!canvasRef.current || !backgroundCanvasRef.current) return;
+    const live = liveRef.current;
 
-    // Initialize simulation
-    const sim = new SimulationEngine(canvasRef.current, width, height);
+    // The simulation and policy run in a worker (see utils/liveRun.js). This
+    // engine never steps: it mirrors the worker's state to render it, and
+    // provides the geometry for the reward landscape.
+    const sim = new SimulationEngine(canvasRef.current, width, height, {
+      layout,
+      walls,
+      randomizeTasks,
+      seed,
+      customReward: live.customReward,
+      robot,
+      taskType,
+      rewardCorruption: live.rewardCorruption,
+    });
     simulationRef.current = sim;
-    previousPosRef.current = sim.getAgentPosition();
-    
-    // Reset policy state
-    momentumRef.current = { x: 0, y: 0 };
-    rewardHistoryRef.current = [];
-    lastRewardRef.current = 0;
 
     // Generate reward gradient background
-    const goalPos = sim.getGoalPosition();
-    const gradientCanvas = generateRewardGradient(
-      width,
-      height,
-      goalPos,
+    gradientImageRef.current = drawRewardBackground(
+      backgroundCanvasRef.current,
+      sim,
       rewardType,
-      { gamma, learningRate, threshold: 30, hopSize: 50 }
+      live.rewardParams,
+      overlaysRef.current.contours ? contourCanvasRef.current : null
     );
-    gradientImageRef.current = gradientCanvas;
+    valueCanvasRef.current.getContext('2d').clearRect(0, 0, width, height);
+    policyCanvasRef.current.getContext('2d').clearRect(0, 0, width, height);
+    directionGridRef.current = null;
+    setProvides({ valueGrid: false, directions: false });
+    setPolicyStats(null);
+    setCurrentReward(0);
+    setCumulativeSuccesses(0);
+    setProxyReturn(0);
     
-    const bgCtx = backgroundCanvasRef.current.getContext('2d');
-    bgCtx.drawImage(gradientCanvas, 0, 0);
+    const recorder = createEpisodeRecorder();
+    recorderRef.current = recorder;
+    setEpisodes([]);
+    setReplay(null);
 
-    // Reward-guided policy: uses reward gradient to determine movement
-    const updateAgent = (currentReward) => {
-      const agentPos = sim.getAgentPosition();
-      const goalPos = sim.getGoalPosition();
-      const distance = sim.getDistance();
-      
-      // Stop if we've reached success
-      if (distance <= sim.successThreshold) {
-        sim.updateAgentVelocity(0, 0);
-        momentumRef.current = { x: 0, y: 0 };
-        return;
-      }
-      
-      // Estimate reward gradient by sampling nearby positions
-      const sampleDistance = 10; // pixels to sample for gradient estimation
-      const samples = [
-        { dx: sampleDistance, dy: 0 },
-        { dx: -sampleDistance, dy: 0 },
-        { dx: 0, dy: sampleDistance },
-        { dx: 0, dy: -sampleDistance },
-        { dx: sampleDistance * 0.707, dy: sampleDistance * 0.707 },
-        { dx: -sampleDistance * 0.707, dy: sampleDistance * 0.707 },
-        { dx: sampleDistance * 0.707, dy: -sampleDistance * 0.707 },
-        { dx: -sampleDistance * 0.707, dy: -sampleDistance * 0.707 },
-      ];
-      
-      let bestDirection = { x: 0, y: 0 };
-      // Initialize to negative infinity to ensure we always pick the best direction
-      // For transition-based rewards, staying still gives 0 reward, so we compare against that
-      let maxExpectedReward = -Infinity;
-      
-      // Sample rewards in different directions
-      samples.forEach((sample) => {
-        const testPos = {
-          x: agentPos.x + sample.dx,
-          y: agentPos.y + sample.dy,
-        };
-        
-        // Clamp to canvas bounds
-        testPos.x = Math.max(15, Math.min(width - 15, testPos.x));
-        testPos.y = Math.max(15, Math.min(height - 15, testPos.y));
-        
-        // Calculate expected reward at test position using continuous reward functions
-        const testDistance = Math.sqrt(
-          Math.pow(testPos.x - goalPos.x, 2) + Math.pow(testPos.y - goalPos.y, 2)
-        );
-        
-        let expectedReward = 0;
-        switch (rewardType) {
-          case 'sparse':
-            expectedReward = calculateSparseReward(testPos, goalPos, sim.successThreshold);
-            break;
-          case 'shaping':
-            // For shaping, estimate reward at test position
-            // Potential-based: r = gamma * Phi(s') - Phi(s)
-            const phiCurrent = -distance;
-            const phiNext = -testDistance;
-            expectedReward = (gamma * phiNext) - phiCurrent;
-            break;
-          case 'prm':
-            // Use continuous PRM reward with initial distance
-            const initialDist = sim.initialDistance || distance;
-            expectedReward = calculatePRMReward(
-              testPos,
-              goalPos,
-              initialDist,
-              learningRate
-            );
-            break;
-          case 'semantic':
-            expectedReward = calculateSemanticReward(testPos, goalPos, width, height);
-            break;
-        }
-        
-        // If this direction has higher expected reward, use it
-        if (expectedReward > maxExpectedReward) {
-          maxExpectedReward = expectedReward;
-          bestDirection = { x: sample.dx, y: sample.dy };
+    const worker = new Worker(new URL('../utils/simulationWorker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+    worker.postMessage({
+      type: 'start',
+      options: {
+        rewardType,
+        rewardParams: live.rewardParams,
+        customExpression: live.customExpression,
+        rewardModel: live.rewardModel,
+        rewardCorruption: live.rewardCorruption,
+        policyType,
+        robot,
+        taskType,
+        layout,
+        walls,
+        randomizeTasks,
+        seed,
+        width,
+        height,
+        gamma: live.gamma,
+        learningRate: live.learningRate,
+      },
+    });
+
+    // Fixed-timestep clock: the simulation advances 60 * speedMultiplier
+    // steps per second of wall time, however often the browser renders.
+    // Trajectories depend only on the step count, never on the frame rate.
+    // One batch is in flight at a time; steps that come due meanwhile go
+    // into the next one.
+    let accumulator = 0;
+    let lastFrameTime = null;
+    let frameCount = 0;
+    let started = false;
+    let inFlight = false;
+    let successes = 0;
+    let episodeReturn = 0;
+    let drawnGoal = sim.getGoalPosition();
+
+    // Everything the worker stepped since the last batch: logged and
+    // recorded per step, shown once. The log takes the clock after each step,
+    // which is when the next one started.
+    const handleBatch = ({ steps, tasks, state, stats, valueGrid, directionGrid }) => {
+      let taskIndex = 0;
+      steps.forEach((step, i) => {
+        const time = steps[i + 1]?.time ?? state.time;
+        runLog?.recordStep(key, { reward: step.reward, isDone: step.done, time });
+        recorder.record(step);
+        episodeReturn = step.done ? 0 : episodeReturn + step.reward;
+        if (step.done) {
+          successes++;
+          liveRef.current.onSuccess?.(key, successes);
+          recorder.endEpisode({ success: true });
+          recorder.startEpisode(tasks[taskIndex++]);
         }
       });
-      
-      // Normalize direction
-      const dirLength = Math.sqrt(bestDirection.x * bestDirection.x + bestDirection.y * bestDirection.y);
-      if (dirLength > 0) {
-        bestDirection.x /= dirLength;
-        bestDirection.y /= dirLength;
-      } else {
-        // Fallback: move towards goal if no better direction found
-        const dx = goalPos.x - agentPos.x;
-        const dy = goalPos.y - agentPos.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist > 0) {
-          bestDirection.x = dx / dist;
-          bestDirection.y = dy / dist;
-        }
+      if (tasks.length > 0) {
+        setEpisodes(recorder.getEpisodes());
+        setCumulativeSuccesses(successes);
       }
+      if (steps.length > 0) {
+        const reward = steps[steps.length - 1].reward;
+        setCurrentReward(reward);
+        setProxyReturn(episodeReturn);
+        liveRef.current.onRewardUpdate?.(key, reward);
+      }
+      setCurrentDistance(state.distance);
       
-      // Apply momentum for smooth movement (reduces oscillations)
-      const momentumDecay = 0.7; // How much momentum to keep
-      const momentumWeight = 0.3; // How much momentum affects movement
-      
-      momentumRef.current.x = momentumRef.current.x * momentumDecay + bestDirection.x * (1 - momentumDecay);
-      momentumRef.current.y = momentumRef.current.y * momentumDecay + bestDirection.y * (1 - momentumDecay);
+      sim.showState(state);
       
-      // Normalize momentum
-      const momLength = Math.sqrt(
-        momentumRef.current.x * momentumRef.current.x + momentumRef.current.y * momentumRef.current.y
-      );
-      if (momLength > 0) {
-        momentumRef.current.x /= momLength;
-        momentumRef.current.y /= momLength;
+      // The goal moves with randomized tasks: redraw the reward landscape
+      if (state.goal.x !== drawnGoal.x || state.goal.y !== drawnGoal.y) {
+        drawnGoal = state.goal;
+        gradientImageRef.current = drawRewardBackground(
+          backgroundCanvasRef.current,
+          sim,
+          rewardType,
+          liveRef.current.rewardParams,
+          overlaysRef.current.contours ? contourCanvasRef.current : null
+        );
       }
       
-      // Combine reward gradient direction with momentum
-      const finalDirection = {
-        x: bestDirection.x * (1 - momentumWeight) + momentumRef.current.x * momentumWeight,
-        y: bestDirection.y * (1 - momentumWeight) + momentumRef.current.y * momentumWeight,
-      };
-      
-      // Normalize final direction
-      const finalLength = Math.sqrt(finalDirection.x * finalDirection.x + finalDirection.y * finalDirection.y);
-      if (finalLength > 0) {
-        finalDirection.x /= finalLength;
-        finalDirection.y /= finalLength;
+      // Learner stats for the HUD
+      if (stats) {
+        setPolicyStats(stats);
       }
       
-      // Calculate speed: faster when far, slower when close
-      const baseSpeed = Math.min(4, Math.max(1.5, distance * 0.015));
+      // Learned value function overlay, refreshed a few times per second
+      if (valueGrid) {
+        drawValueGrid(valueCanvasRef.current, valueGrid);
+      }
       
-      // Apply velocity
-      const vx = finalDirection.x * baseSpeed;
-      const vy = finalDirection.y * baseSpeed;
-      sim.updateAgentVelocity(vx, vy);
+      // Arrows when refreshed, the trail every batch
+      if (directionGrid) {
+        directionGridRef.current = directionGrid;
+      }
+      drawPolicyOverlay(policyCanvasRef.current, sim, directionGridRef.current, overlaysRef.current);
     };
 
-    let frameCount = 0;
-    const animate = () => {
-      for (let i = 0; i < speedMultiplier; i++) {
-        // Update distance for display
-        const distance = sim.getDistance();
-        setCurrentDistance(distance);
-        
-        // Update agent using reward-guided policy
-        // We'll get the reward from step() which uses the continuous reward system
-        const currentReward = sim.getReward(rewardType, gamma, learningRate, width, height);
-        updateAgent(currentReward);
-        
-        // Step simulation - this now returns reward and isDone
-        const stepResult = sim.step(rewardType, gamma, learningRate, width, height);
-        const reward = stepResult.reward;
-        const isDone = stepResult.isDone;
-        
-        // Update reward history
-        rewardHistoryRef.current.push(reward);
-        if (rewardHistoryRef.current.length > 10) {
-          rewardHistoryRef.current.shift();
-        }
-        lastRewardRef.current = reward;
-        
-        setCurrentReward(reward);
-        onRewardUpdate?.(rewardType, reward);
-        
-        // Handle success and reset
-        if (isDone) {
-          setCumulativeSuccesses((prev) => {
-            const newCount = prev + 1;
-            onSuccess?.(rewardType, newCount);
-            return newCount;
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'started') {
+        started = true;
+        setProvides(data.provides);
+        recorder.startEpisode(data.task);
+        sim.showState({ agent: data.task.start, goal: data.task.goal, joints: data.joints });
+      } else if (data.type === 'batch') {
+        inFlight = false;
+        handleBatch(data);
+      }
+    };
+
+    const animate = (now) => {
+      if (replayingRef.current) {
+        // Paused for replay: don't let the clock catch up afterwards
+        lastFrameTime = null;
+        animationFrameRef.current = requestAnimationFrame(animate);
+        return;
+      }
+      const { speedMultiplier } = liveRef.current;
+      const maxStepsPerFrame = 4 * speedMultiplier; // Don't spiral after a stall (hidden tab)
+      if (lastFrameTime !== null) {
+        accumulator += ((now - lastFrameTime) / 1000) * 60 * speedMultiplier;
+      }
+      lastFrameTime = now;
+      if (!started || inFlight) {
+        accumulator = Math.min(accumulator, maxStepsPerFrame);
+      } else {
+        const steps = Math.min(Math.floor(accumulator), maxStepsPerFrame);
+        accumulator = steps === maxStepsPerFrame ? 0 : accumulator - steps;
+        if (steps > 0) {
+          frameCount++;
+          inFlight = true;
+          const refresh = frameCount % 10 === 0;
+          worker.postMessage({
+            type: 'run',
+            count: steps,
+            valueGrid: refresh,
+            directionGrid: refresh && overlaysRef.current.quiver,
           });
-          // Reset momentum and state on success
-          momentumRef.current = { x: 0, y: 0 };
-          rewardHistoryRef.current = [];
-          lastRewardRef.current = 0;
-          previousPosRef.current = sim.getAgentPosition();
-        } else {
-          previousPosRef.current = sim.getAgentPosition();
         }
-        
-        frameCount++;
       }
       
       sim.renderFrame();
       animationFrameRef.current = requestAnimationFrame(animate);
     };
 
-    animate();
+    animationFrameRef.current = requestAnimationFrame(animate);
 
     return () => {
       if (animationFrameRef.current) {
         cancelAnimationFrame(animationFrameRef.current);
       }
-      if (simulationRef.current) {
-        simulationRef.current.destroy();
-      }
+      worker.terminate();
+      workerRef.current = null;
+      sim.destroy();
     };
-  }, [rewardType, width, height, gamma, learningRate, speedMultiplier, onRewardUpdate, onSuccess]);
+  }, [key, rewardType, policyType, robot, taskType, layout, walls, randomizeTasks, seed, width, height, runLog]);
 
-  // Update gradient when gamma or learningRate changes
+  // Reward parameters, expression, model and corruption apply to the
+  // running simulation from its next step, and the overlay follows
   useEffect(() => {
     if (!backgroundCanvasRef.current || !simulationRef.current) return;
     
-    const goalPos = simulationRef.current.getGoalPosition();
-    const gradientCanvas = generateRewardGradient(
-      width,
-      height,
-      goalPos,
+    workerRef.current?.postMessage({
+      type: 'configure',
+      options: { rewardParams, customExpression, rewardModel, rewardCorruption },
+    });
+    simulationRef.current.customReward = customReward;
+    simulationRef.current.rewardCorruption = rewardCorruption;
+    gradientImageRef.current = drawRewardBackground(
+      backgroundCanvasRef.current,
+      simulationRef.current,
       rewardType,
-      { gamma, learningRate, threshold: 30, hopSize: 50 }
+      rewardParams,
+      overlaysRef.current.contours ? contourCanvasRef.current : null
     );
-    gradientImageRef.current = gradientCanvas;
+  }, [rewardParams, customExpression, rewardModel, customReward, rewardCorruption, rewardType]);
+
+  // Contours are only traced while shown
+  useEffect(() => {
+    if (!contourCanvasRef.current || !simulationRef.current) return;
+    if (overlays.contours) {
+      drawRewardContours(contourCanvasRef.current, simulationRef.current, rewardType, liveRef.current.rewardParams);
+    } else {
+      contourCanvasRef.current.getContext('2d').clearRect(0, 0, width, height);
+    }
+  }, [overlays.contours, rewardType, width, height]);
+
+  // Arrows and trail follow their toggles without waiting for the next batch
+  useEffect(() => {
+    if (!policyCanvasRef.current || !simulationRef.current) return;
+    drawPolicyOverlay(policyCanvasRef.current, simulationRef.current, directionGridRef.current, overlays);
+  }, [overlays]);
+
+  // Draw the replayed step; the episode's reward landscape is cached until
+  // the episode, the engine (and with it the layout) or anything that shapes
+  // the reward changes
+  useEffect(() => {
+    replayingRef.current = replay !== null;
+    if (!replay || !replayCanvasRef.current || !simulationRef.current) return;
     
-    const bgCtx = backgroundCanvasRef.current.getContext('2d');
-    bgCtx.clearRect(0, 0, width, height);
-    bgCtx.drawImage(gradientCanvas, 0, 0);
-  }, [gamma, learningRate, rewardType, width, height]);
+    const sim = simulationRef.current;
+    const { episode, stepIndex } = replay;
+    const key = { episode, sim, rewardType, rewardParams, customReward, rewardCorruption };
+    const cached = replayGradientRef.current;
+    if (!cached || Object.keys(key).some((name) => cached.key[name] !== key[name])) {
+      replayGradientRef.current = {
+        key,
+        canvas: renderRewardGradient(sim, rewardType, rewardParams, episode.goal),
+      };
+    }
+    drawReplayFrame(replayCanvasRef.current, sim, replayGradientRef.current.canvas, episode, stepIndex);
+  }, [replay, rewardType, rewardParams, customReward, rewardCorruption]);
+
+  // Playback: advance speedMultiplier recorded steps per frame
+  useEffect(() => {
+    if (!replay?.playing) return;
+    const frame = requestAnimationFrame(() => {
+      setReplay((prev) => {
+        if (!prev) return prev;
+        const lastIndex = prev.episode.steps.length - 1;
+        const stepIndex = Math.min(lastIndex, prev.stepIndex + speedMultiplier);
+        return { ...prev, stepIndex, playing: stepIndex < lastIndex };
+      });
+    });
+    return () => cancelAnimationFrame(frame);
+  }, [replay, speedMultiplier]);
+
+  // Replay the most recent episode, or the one in progress if none finished
+  const startReplay = () => {
+    const recorder = recorderRef.current;
+    if (!recorder) return;
+    const current = recorder.getCurrentEpisode();
+    const available = current ? [...recorder.getEpisodes(), current] : recorder.getEpisodes();
+    if (available.length === 0) return;
+    setEpisodes(available);
+    setReplay({ episode: available[available.length - 1], stepIndex: 0, playing: false });
+  };
 
   return (
-    <div className="relative" style={{ width, height }}>
-      {/* Background canvas for reward gradient */}
-      <canvas
-        ref={backgroundCanvasRef}
-        width={width}
-        height={height}
-        className="absolute inset-0"
-        style={{ zIndex: 0 }}
-      />
+    <div>
+      <div className="relative" style={{ width, height }}>
+        {/* Background canvas for reward gradient */}
+        <canvas
+          ref={backgroundCanvasRef}
+          width={width}
+          height={height}
+          className="absolute inset-0"
+          style={{ zIndex: 0 }}
+        />
+      
+        {/* Contour lines of the reward landscape */}
+        <canvas
+          ref={contourCanvasRef}
+          width={width}
+          height={height}
+          className="absolute inset-0"
+          style={{ zIndex: 0 }}
+        />
+      
+        {/* Learned value function (learning policies only) */}
+        <canvas
+          ref={valueCanvasRef}
+          width={width}
+          height={height}
+          className="absolute inset-0"
+          style={{ zIndex: 1, visibility: overlays.value ? 'visible' : 'hidden' }}
+        />
+      
+        {/* Policy arrows and trail */}
+        <canvas
+          ref={policyCanvasRef}
+          width={width}
+          height={height}
+          className="absolute inset-0"
+          style={{ zIndex: 1 }}
+        />
       
-      {/* Main simulation canvas */}
-      <canvas
-        ref={canvasRef}
-        width={width}
-        height={height}
-        className="absolute inset-0"
-        style={{ zIndex: 1 }}
-      />
+        {/* Main simulation canvas */}
+        <canvas
+          ref={canvasRef}
+          width={width}
+          height={height}
+          className="absolute inset-0"
+          style={{ zIndex: 2, visibility: replay ? 'hidden' : 'visible' }}
+        />
       
-      {/* HUD Overlay */}
-      <div
-        className="absolute top-2 left-2 bg-black bg-opacity-70 text-white p-2 rounded text-sm font-mono"
-        style={{ zIndex: 2 }}
-      >
-        <div>Reward: {currentReward.toFixed(3)}</div>
-        <div>Distance: {currentDistance.toFixed(1)}</div>
-        <div>Successes: {cumulativeSuccesses}</div>
-        <div>Type: {rewardType}</div>
+        {/* Recorded episode replay */}
+        <canvas
+          ref={replayCanvasRef}
+          width={width}
+          height={height}
+          className="absolute inset-0"
+          style={{ zIndex: 2, display: replay ? 'block' : 'none' }}
+        />
+      
+        {/* HUD Overlay */}
+        <div
+          className="absolute top-2 left-2 bg-black bg-opacity-70 text-white p-2 rounded text-sm font-mono"
+          style={{ zIndex: 3, display: replay ? 'none' : 'block' }}
+        >
+          <div>Reward: {currentReward.toFixed(3)}</div>
+          <div>Distance: {currentDistance.toFixed(1)}</div>
+          <div>Successes: {cumulativeSuccesses}</div>
+          {rewardCorruption && <div>Proxy return: {proxyReturn.toFixed(2)}</div>}
+          <div>Type: {rewardType}</div>
+          {policyStats && (
+            <>
+              <div>Episode: {policyStats.episode}</div>
+              <div>Ep. Return: {policyStats.lastReturn.toFixed(2)}</div>
+              <div>Entropy: {policyStats.entropy.toFixed(3)}</div>
+              <div>|∇|: {policyStats.gradNorm.toFixed(3)}</div>
+            </>
+          )}
+        </div>
+      
+        {!replay && (
+          <button
+            onClick={startReplay}
+            className="absolute bottom-2 right-2 px-2 py-0.5 text-xs bg-white bg-opacity-90 border border-gray-300 rounded hover:bg-gray-100"
+            style={{ zIndex: 3 }}
+          >
+            Replay
+          </button>
+        )}
       </div>
+    
+      <div className="flex flex-wrap gap-x-3 mt-1 text-xs text-gray-600">
+        {Object.entries(OVERLAYS).map(([name, label]) => {
+          // Arrows and values need a policy that has them
+          const available = name === 'quiver' ? provides.directions : name !== 'value' || provides.valueGrid;
+          return (
+            <label key={name} className={`flex items-center gap-1 ${available ? '' : 'text-gray-400'}`}>
+              <input
+                type="checkbox"
+                checked={overlays[name] && available}
+                disabled={!available}
+                onChange={(e) => setOverlays((prev) => ({ ...prev, [name]: e.target.checked }))}
+              />
+              {label}
+            </label>
+          );
+        })}
+      </div>
+    
+      {replay && (
+        <ReplayControls
+          episodes={episodes}
+          replay={replay}
+          width={width}
+          onChange={(patch) => setReplay((prev) => (prev ? { ...prev, ...patch } : prev))}
+          onExit={() => setReplay(null)}
+        />
+      )}
     </div>
   );
 }
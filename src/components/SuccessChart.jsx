@@ -5,56 +5,61 @@ import {
   LinearScale,
   PointElement,
   LineElement,
+  BarElement,
+  Filler,
   Title,
   Tooltip,
   Legend,
 } from 'chart.js';
 import { Line } from 'react-chartjs-2';
+import { REGIMES, REGIME_KEYS } from '../utils/regimes';
 
 ChartJS.register(
   CategoryScale,
   LinearScale,
   PointElement,
   LineElement,
+  BarElement,
+  Filler,
   Title,
   Tooltip,
   Legend
 );
 
-export default function SuccessChart({ successData }) {
-  const maxDataPoints = 100;
+// One chart series per regime, in registry order
+export const SERIES = REGIME_KEYS.map((key) => ({
+  key,
+  label: REGIMES[key].shortLabel,
+  color: REGIMES[key].color,
+}));
+
+// `series` lists the panels to plot ({ key, label, color }). `referenceData`
+// (optional) is an imported run in the same shape, drawn dashed behind the
+// live series.
+export default function SuccessChart({ successData, referenceData = null, series = SERIES }) {
+  const length = Math.max(successData.length, referenceData?.length || 0);
   
   const chartData = {
-    labels: successData.map((_, idx) => idx),
+    labels: Array.from({ length }, (_, idx) => idx),
     datasets: [
-      {
-        label: 'Sparse',
-        data: successData.map((d) => d.sparse || 0),
-        borderColor: 'rgb(59, 130, 246)',
-        backgroundColor: 'rgba(59, 130, 246, 0.1)',
-        tension: 0.1,
-      },
-      {
-        label: 'Distance Shaping',
-        data: successData.map((d) => d.shaping || 0),
-        borderColor: 'rgb(139, 92, 246)',
-        backgroundColor: 'rgba(139, 92, 246, 0.1)',
-        tension: 0.1,
-      },
-      {
-        label: 'PRM',
-        data: successData.map((d) => d.prm || 0),
-        borderColor: 'rgb(236, 72, 153)',
-        backgroundColor: 'rgba(236, 72, 153, 0.1)',
-        tension: 0.1,
-      },
-      {
-        label: 'Semantic',
-        data: successData.map((d) => d.semantic || 0),
-        borderColor: 'rgb(34, 197, 94)',
-        backgroundColor: 'rgba(34, 197, 94, 0.1)',
+      ...series.map(({ key, label, color }) => ({
+        label,
+        data: successData.map((d) => d[key] || 0),
+        borderColor: `rgb(${color})`,
+        backgroundColor: `rgba(${color}, 0.1)`,
         tension: 0.1,
-      },
+      })),
+      ...(referenceData
+        ? series.filter(({ key }) => referenceData.some((d) => key in d)).map(({ key, label, color }) => ({
+            label: `${label} (reference)`,
+            data: referenceData.map((d) => d[key] || 0),
+            borderColor: `rgba(${color}, 0.6)`,
+            backgroundColor: `rgba(${color}, 0.05)`,
+            borderDash: [6, 4],
+            pointRadius: 0,
+            tension: 0.1,
+          }))
+        : []),
     ],
   };
 
@@ -81,7 +86,7 @@ export default function SuccessChart({ successData }) {
       x: {
         title: {
           display: true,
-          text: 'Time Step',
+          text: 'Success Event',
         },
       },
     },
@@ -0,0 +1,288 @@
+import { useEffect, useMemo, useState } from 'react';
+import TrajectoryView from './TrajectoryView';
+import { REGIMES } from '../utils/regimes';
+import { sweepAxes, gridValues, runSweep } from '../utils/sweep';
+
+const METRICS = {
+  successRate: { label: 'Success rate', format: (v) => `${Math.round(v * 100)}%` },
+  meanSteps: { label: 'Mean steps to goal', format: (v) => v.toFixed(0) },
+  correlation: { label: 'Return-success correlation', format: (v) => v.toFixed(2) },
+};
+
+const NO_AXIS = { id: '', min: 0, max: 1, count: 5 };
+
+const formatValue = (v) => (Number.isInteger(v) ? String(v) : v.toFixed(2));
+
+const formatReturn = (v) => (Number.isFinite(v) ? v.toFixed(2) : '—');
+
+// Cell colors: success rate on an absolute scale, steps to goal relative to
+// the fastest and slowest cells (fewer steps is greener), the correlation
+// from -1 to 1 (a reward that pays for success is greener)
+function cellColor(cells, metric, value) {
+  if (!Number.isFinite(value)) return 'rgb(229, 231, 235)';
+  let intensity = value;
+  if (metric === 'correlation') {
+    intensity = (value + 1) / 2;
+  }
+  if (metric === 'meanSteps') {
+    const finite = cells.map((c) => c.meanSteps).filter(Number.isFinite);
+    const min = Math.min(...finite);
+    const max = Math.max(...finite);
+    intensity = max > min ? 1 - (value - min) / (max - min) : 1;
+  }
+  return `rgba(34, 197, 94, ${(0.1 + 0.8 * intensity).toFixed(3)})`;
+}
+
+// One sweep axis: parameter plus its grid range
+function AxisControls({ label, axes, axis, onChange, allowNone }) {
+  const spec = axes.find((a) => a.id === axis.id)?.spec;
+  const numberInput = (key, step) => (
+    <input
+      type="number"
+      step={step}
+      value={axis[key]}
+      onChange={(e) => onChange({ ...axis, [key]: parseFloat(e.target.value) })}
+      className="w-20 border border-gray-300 rounded px-1 py-0.5"
+    />
+  );
+  return (
+    <div className="text-sm text-gray-700">
+      <div className="mb-1">{label}</div>
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={axis.id}
+          onChange={(e) => {
+            const next = axes.find((a) => a.id === e.target.value);
+            onChange(next ? { id: next.id, min: next.spec.min, max: next.spec.max, count: axis.count } : { ...axis, id: '' });
+          }}
+          className="border border-gray-300 rounded px-2 py-1 text-sm"
+        >
+          {allowNone && <option value="">None</option>}
+          {axes.map((a) => (
+            <option key={a.id} value={a.id}>
+              {a.label}
+            </option>
+          ))}
+        </select>
+        {spec && (
+          <>
+            {numberInput('min', spec.step)} to {numberInput('max', spec.step)}
+            <span>×</span>
+            <input
+              type="number"
+              min="1"
+              max="20"
+              value={axis.count}
+              onChange={(e) => onChange({ ...axis, count: Math.max(1, Math.min(20, parseInt(e.target.value) || 1)) })}
+              className="w-14 border border-gray-300 rounded px-1 py-0.5"
+            />
+            <span>values</span>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Hyperparameter sweep over one panel: one or two of its parameters (or the
+// policy speed) on a grid, every cell run headless, results as a heatmap.
+// Clicking a cell shows the trajectories behind it.
+export default function SweepPanel({ panels, series, config }) {
+  const [panelId, setPanelId] = useState(panels[0]?.id ?? '');
+  const panel = panels.find((p) => p.id === panelId) ?? panels[0];
+  const rewardType = panel?.rewardType;
+  const { taskType } = config;
+  const axes = useMemo(() => (rewardType ? sweepAxes(rewardType, taskType) : []), [rewardType, taskType]);
+  const [xAxis, setXAxis] = useState(NO_AXIS);
+  const [yAxis, setYAxis] = useState(NO_AXIS);
+  const [episodes, setEpisodes] = useState(20);
+  const [maxSteps, setMaxSteps] = useState(1000);
+  const [metric, setMetric] = useState('successRate');
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [selectedCell, setSelectedCell] = useState(null);
+
+  // A different regime has different parameters: start over from its first
+  useEffect(() => {
+    setXAxis(axes[0] ? { id: axes[0].id, min: axes[0].spec.min, max: axes[0].spec.max, count: 5 } : NO_AXIS);
+    setYAxis(NO_AXIS);
+  }, [axes]);
+
+  const running = progress !== null;
+  if (!panel) return <p className="text-sm text-gray-500">Add a panel to sweep its parameters.</p>;
+
+  const toSweepAxis = ({ id, min, max, count }) => {
+    const axis = axes.find((a) => a.id === id);
+    return axis && { ...axis, values: gridValues(min, max, count) };
+  };
+
+  const handleRun = async () => {
+    const x = toSweepAxis(xAxis);
+    if (!x) return;
+    setProgress(0);
+    setSelectedCell(null);
+    const sweep = await runSweep({
+      ...config,
+      rewardType: panel.rewardType,
+      rewardParams: panel.params,
+      customExpression: panel.expression ?? null,
+      rewardModel: panel.model ?? null,
+      rewardCorruption: panel.corruption ?? null,
+      xAxis: x,
+      yAxis: yAxis.id && yAxis.id !== xAxis.id ? toSweepAxis(yAxis) : null,
+      episodes,
+      maxSteps,
+    }, (done, total) => setProgress(done / total));
+    setResult({ ...sweep, label: series.find((s) => s.key === panel.id)?.label ?? panel.id });
+    setProgress(null);
+  };
+
+  const rows = result ? (result.yAxis ? result.yAxis.values : [null]) : [];
+  const cellAt = (xi, yi) => result.cells.find((c) => c.x === xi && c.y === yi);
+  const cell = selectedCell && cellAt(selectedCell.x, selectedCell.y);
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        <label className="block text-sm text-gray-700">
+          Panel
+          <select
+            value={panel.id}
+            disabled={running}
+            onChange={(e) => setPanelId(e.target.value)}
+            className="w-full border border-gray-300 rounded px-2 py-1 text-sm mt-1"
+          >
+            {panels.map((p) => (
+              <option key={p.id} value={p.id}>
+                {series.find((s) => s.key === p.id)?.label ?? REGIMES[p.rewardType].label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="flex items-end gap-4">
+          <label className="block text-sm text-gray-700">
+            Episodes per cell
+            <input
+              type="number"
+              min="1"
+              max="1000"
+              value={episodes}
+              disabled={running}
+              onChange={(e) => setEpisodes(Math.max(1, parseInt(e.target.value) || 1))}
+              className="w-full border border-gray-300 rounded px-2 py-1 text-sm mt-1"
+            />
+          </label>
+          <label className="block text-sm text-gray-700">
+            Max steps
+            <input
+              type="number"
+              min="10"
+              max="10000"
+              value={maxSteps}
+              disabled={running}
+              onChange={(e) => setMaxSteps(Math.max(10, parseInt(e.target.value) || 10))}
+              className="w-full border border-gray-300 rounded px-2 py-1 text-sm mt-1"
+            />
+          </label>
+          <button
+            onClick={handleRun}
+            disabled={running || !xAxis.id}
+            className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50"
+          >
+            {running ? `Running… ${Math.round(progress * 100)}%` : 'Run Sweep'}
+          </button>
+        </div>
+        <AxisControls label="X axis" axes={axes} axis={xAxis} onChange={setXAxis} />
+        <AxisControls label="Y axis (optional)" axes={axes} axis={yAxis} onChange={setYAxis} allowNone />
+      </div>
+
+      {result && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div>
+            <div className="flex items-center justify-between mb-2 text-sm">
+              <span className="font-medium">{result.label}</span>
+              <select
+                value={metric}
+                onChange={(e) => setMetric(e.target.value)}
+                className="border border-gray-300 rounded px-2 py-1 text-sm"
+              >
+                {Object.entries(METRICS).map(([key, { label }]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <table className="text-xs border-collapse">
+              <tbody>
+                {rows.map((yValue, yi) => (
+                  <tr key={yi}>
+                    {result.yAxis && (
+                      <th className="pr-2 text-right font-normal text-gray-600">{formatValue(yValue)}</th>
+                    )}
+                    {result.xAxis.values.map((xValue, xi) => {
+                      const c = cellAt(xi, yi);
+                      const value = c[metric];
+                      const isSelected = selectedCell?.x === xi && selectedCell?.y === yi;
+                      return (
+                        <td
+                          key={xi}
+                          onClick={() => setSelectedCell({ x: xi, y: yi })}
+                          title={`${result.xAxis.label} = ${formatValue(xValue)}${
+                            result.yAxis ? `, ${result.yAxis.label} = ${formatValue(yValue)}` : ''
+                          }`}
+                          style={{ backgroundColor: cellColor(result.cells, metric, value) }}
+                          className={`w-14 h-10 text-center cursor-pointer border ${
+                            isSelected ? 'border-gray-900 border-2' : 'border-white'
+                          }`}
+                        >
+                          {Number.isFinite(value) ? METRICS[metric].format(value) : '—'}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+                <tr>
+                  {result.yAxis && <th />}
+                  {result.xAxis.values.map((xValue, xi) => (
+                    <th key={xi} className="pt-1 font-normal text-gray-600">{formatValue(xValue)}</th>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500 mt-2">
+              X: {result.xAxis.label}
+              {result.yAxis && <>, Y: {result.yAxis.label}</>}. Click a cell to see its trajectories.
+            </p>
+          </div>
+          <div>
+            {cell ? (
+              <>
+                <p className="text-sm text-gray-700 mb-2">
+                  {result.xAxis.label} = {formatValue(cell.xValue)}
+                  {result.yAxis && <>, {result.yAxis.label} = {formatValue(cell.yValue)}</>}:{' '}
+                  {METRICS.successRate.format(cell.successRate)} success
+                </p>
+                <p className="text-xs text-gray-600 mb-2">
+                  Return {formatReturn(cell.meanReturnSuccess)} on successes and{' '}
+                  {formatReturn(cell.meanReturnFailure)} on failures, correlation{' '}
+                  {formatReturn(cell.correlation)}
+                </p>
+                <TrajectoryView
+                  episodes={cell.episodes}
+                  layout={config.layout}
+                  width={config.width}
+                  height={config.height}
+                />
+              </>
+            ) : (
+              <div className="h-32 flex items-center justify-center text-gray-500 text-sm">
+                Select a cell to inspect its episodes
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
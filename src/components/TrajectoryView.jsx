@@ -0,0 +1,86 @@
+import { useEffect, useRef, useState } from 'react';
+import { resolveObstacles } from '../utils/layouts';
+
+// Draws recorded episodes over the arena: every path faint (green for
+// successes, red for timeouts) and the selected one bold, with its start and
+// goal.
+export default function TrajectoryView({ episodes, layout, width, height }) {
+  const canvasRef = useRef(null);
+  const [selected, setSelected] = useState(0);
+
+  useEffect(() => {
+    setSelected(Math.max(0, episodes.length - 1));
+  }, [episodes]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.fillStyle = '#6b7280';
+    resolveObstacles(layout, width, height).forEach((o) => {
+      ctx.beginPath();
+      if (o.type === 'circle') {
+        ctx.arc(o.x, o.y, o.r, 0, 2 * Math.PI);
+      } else {
+        ctx.rect(o.x - o.w / 2, o.y - o.h / 2, o.w, o.h);
+      }
+      ctx.fill();
+    });
+
+    const drawPath = (episode, lineWidth, alpha) => {
+      if (episode.steps.length === 0) return;
+      ctx.strokeStyle = episode.success ? `rgba(16, 185, 129, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+      ctx.lineWidth = lineWidth;
+      ctx.beginPath();
+      ctx.moveTo(episode.steps[0].x, episode.steps[0].y);
+      episode.steps.forEach(({ x, y }) => ctx.lineTo(x, y));
+      ctx.stroke();
+    };
+    episodes.forEach((episode) => drawPath(episode, 1, 0.25));
+
+    const episode = episodes[selected];
+    if (!episode) return;
+    drawPath(episode, 2.5, 0.9);
+    ctx.fillStyle = 'rgba(16, 185, 129, 0.5)';
+    ctx.beginPath();
+    ctx.arc(episode.goal.x, episode.goal.y, 20, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.fillStyle = '#3b82f6';
+    ctx.beginPath();
+    ctx.arc(episode.start.x, episode.start.y, 5, 0, 2 * Math.PI);
+    ctx.fill();
+  }, [episodes, selected, layout, width, height]);
+
+  if (episodes.length === 0) {
+    return <p className="text-sm text-gray-500">No trajectories were kept for this cell.</p>;
+  }
+
+  const episode = episodes[selected];
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-2 text-sm">
+        <select
+          value={selected}
+          onChange={(e) => setSelected(parseInt(e.target.value))}
+          className="border border-gray-300 rounded px-2 py-1 text-sm"
+        >
+          {episodes.map((e, i) => (
+            <option key={e.index} value={i}>
+              Episode {e.index + 1}: {e.success ? 'success' : 'timeout'} in {e.steps.length} steps
+            </option>
+          ))}
+        </select>
+        {episode?.truncated && <span className="text-xs text-gray-500">(truncated)</span>}
+      </div>
+      <canvas
+        ref={canvasRef}
+        width={width}
+        height={height}
+        className="border-2 border-gray-300 rounded"
+      />
+    </div>
+  );
+}
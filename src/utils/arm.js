@@ -0,0 +1,161 @@
+import Matter from 'matter-js';
+
+const { Bodies, Body, Constraint } = Matter;
+
+// Planar two-link arm.
+//
+// Joint angles q = [q1, q2]: q1 is the first link's angle from the x axis and
+// q2 the second link's angle relative to the first, both in radians and
+// clockwise on screen (y points down), like Matter's body angles. The base is
+// fixed; rewards, the success test and the reward overlay all use the
+// end-effector position, the tip of the second link.
+
+// Arm geometry for an arena: base at the bottom center, links long enough to
+// reach most of the arena
+export function armGeometry(width, height) {
+  return {
+    base: { x: width / 2, y: height - 10 },
+    lengths: [0.4 * height, 0.37 * height],
+  };
+}
+
+// Wraps an angle to (-pi, pi]
+const wrapAngle = (a) => a - 2 * Math.PI * Math.ceil((a - Math.PI) / (2 * Math.PI));
+
+// Distance between two joint configurations, each joint's difference wrapped
+export function jointDistance(q, r) {
+  return Math.hypot(wrapAngle(q[0] - r[0]), wrapAngle(q[1] - r[1]));
+}
+
+// Forward and inverse kinematics. `elbow` (1 or -1) picks the inverse
+// kinematics solution by the sign of q2: the default, -1, keeps the elbow
+// above the line from the base to the end effector for an arm standing at
+// the bottom.
+export function createArmKinematics({ base, lengths: [l1, l2], elbow = -1 }) {
+  const reach = { min: Math.abs(l1 - l2), max: l1 + l2 };
+
+  const elbowPosition = ([q1]) => ({
+    x: base.x + l1 * Math.cos(q1),
+    y: base.y + l1 * Math.sin(q1),
+  });
+
+  const forward = ([q1, q2]) => {
+    const e = elbowPosition([q1]);
+    return { x: e.x + l2 * Math.cos(q1 + q2), y: e.y + l2 * Math.sin(q1 + q2) };
+  };
+
+  const isReachable = ({ x, y }, margin = 0) => {
+    const r = Math.hypot(x - base.x, y - base.y);
+    return r >= reach.min + margin && r <= reach.max - margin;
+  };
+
+  // Joint angles that put the end effector at `point`, or null out of reach
+  const inverse = ({ x, y }, elbowSign = elbow) => {
+    const dx = x - base.x;
+    const dy = y - base.y;
+    const c2 = (dx * dx + dy * dy - l1 * l1 - l2 * l2) / (2 * l1 * l2);
+    if (c2 < -1 || c2 > 1) return null;
+    const q2 = elbowSign * Math.acos(c2);
+    const q1 = Math.atan2(dy, dx) - Math.atan2(l2 * Math.sin(q2), l1 + l2 * Math.cos(q2));
+    return [q1, q2];
+  };
+
+  // Joint velocities for an end-effector velocity `v`: damped least squares
+  // on the Jacobian, so the arm slows down instead of spinning up near full
+  // extension
+  const jointVelocities = ([q1, q2], v, damping = 5) => {
+    const s1 = Math.sin(q1);
+    const c1 = Math.cos(q1);
+    const s12 = Math.sin(q1 + q2);
+    const c12 = Math.cos(q1 + q2);
+    const j11 = -l1 * s1 - l2 * s12;
+    const j12 = -l2 * s12;
+    const j21 = l1 * c1 + l2 * c12;
+    const j22 = l2 * c12;
+    // (J J^T + damping^2 I)^-1 v, then J^T of that
+    const a = j11 * j11 + j12 * j12 + damping * damping;
+    const b = j11 * j21 + j12 * j22;
+    const d = j21 * j21 + j22 * j22 + damping * damping;
+    const det = a * d - b * b;
+    const wx = (d * v.x - b * v.y) / det;
+    const wy = (a * v.y - b * v.x) / det;
+    return [j11 * wx + j21 * wy, j12 * wx + j22 * wy];
+  };
+
+  return { base, lengths: [l1, l2], elbow, reach, elbowPosition, forward, inverse, isReachable, jointVelocities };
+}
+
+// The arm as Matter bodies: two links pinned to the base and to each other
+// by zero-length constraints. The links don't collide with each other, but
+// do with obstacles and walls. Driven by joint velocities, set as the link
+// velocities they imply before every physics update.
+export function createArmBodies(kinematics, { width = 12, maxJointSpeed = 0.08 } = {}) {
+  const { base, lengths: [l1, l2] } = kinematics;
+  const render = { fillStyle: '#3b82f6', strokeStyle: '#1e40af', lineWidth: 2 };
+  const collisionFilter = { group: -1 };
+  const link1 = Bodies.rectangle(base.x + l1 / 2, base.y, l1, width, { frictionAir: 0, collisionFilter, render });
+  const link2 = Bodies.rectangle(base.x + l1 + l2 / 2, base.y, l2, width, { frictionAir: 0, collisionFilter, render });
+  const shoulder = Constraint.create({
+    pointA: { ...base },
+    bodyB: link1,
+    pointB: { x: -l1 / 2, y: 0 },
+    length: 0,
+    stiffness: 1,
+  });
+  const elbow = Constraint.create({
+    bodyA: link1,
+    pointA: { x: l1 / 2, y: 0 },
+    bodyB: link2,
+    pointB: { x: -l2 / 2, y: 0 },
+    length: 0,
+    stiffness: 1,
+  });
+
+  const getJointAngles = () => [link1.angle, link2.angle - link1.angle];
+
+  const getEndEffector = () => ({
+    x: link2.position.x + (l2 / 2) * Math.cos(link2.angle),
+    y: link2.position.y + (l2 / 2) * Math.sin(link2.angle),
+  });
+
+  // Places the links at joint angles `q`, at rest
+  const setJointAngles = ([q1, q2]) => {
+    const e = kinematics.elbowPosition([q1]);
+    Body.setAngle(link1, q1);
+    Body.setPosition(link1, { x: (base.x + e.x) / 2, y: (base.y + e.y) / 2 });
+    Body.setAngle(link2, q1 + q2);
+    Body.setPosition(link2, {
+      x: e.x + (l2 / 2) * Math.cos(q1 + q2),
+      y: e.y + (l2 / 2) * Math.sin(q1 + q2),
+    });
+    [link1, link2].forEach((link) => {
+      Body.setVelocity(link, { x: 0, y: 0 });
+      Body.setAngularVelocity(link, 0);
+    });
+  };
+
+  // Joint velocities in radians per step, each clamped to `maxJointSpeed`
+  const setJointVelocities = ([qd1, qd2]) => {
+    const clamp = (w) => Math.max(-maxJointSpeed, Math.min(maxJointSpeed, w));
+    const w1 = clamp(qd1);
+    const w2 = w1 + clamp(qd2);
+    // Velocity of a point at offset r from a point moving at v, rotating at w
+    const pointVelocity = (v, w, r) => ({ x: v.x - w * r.y, y: v.y + w * r.x });
+    const a1 = link1.angle;
+    const a2 = link2.angle;
+    const elbowVelocity = pointVelocity({ x: 0, y: 0 }, w1, { x: l1 * Math.cos(a1), y: l1 * Math.sin(a1) });
+    Body.setAngularVelocity(link1, w1);
+    Body.setVelocity(link1, pointVelocity({ x: 0, y: 0 }, w1, { x: (l1 / 2) * Math.cos(a1), y: (l1 / 2) * Math.sin(a1) }));
+    Body.setAngularVelocity(link2, w2);
+    Body.setVelocity(link2, pointVelocity(elbowVelocity, w2, { x: (l2 / 2) * Math.cos(a2), y: (l2 / 2) * Math.sin(a2) }));
+  };
+
+  return {
+    bodies: [link1, link2],
+    constraints: [shoulder, elbow],
+    getJointAngles,
+    getEndEffector,
+    setJointAngles,
+    setJointVelocities,
+  };
+}
@@ -0,0 +1,135 @@
+import { SimulationEngine } from './simulation.js';
+import { createPolicy } from './policies.js';
+import { createRandom, deriveSeed } from './random.js';
+import { loadCustomReward } from './rewardModel.js';
+import { REGIMES, REGIME_KEYS, resolveParams } from './regimes.js';
+
+// Built-in regimes that apply to a robot; the expression-driven one needs a
+// `customExpression` and the learned one a `rewardModel`
+export function rewardTypesFor(robot = 'pointMass') {
+  return REGIME_KEYS.filter(
+    (key) => !REGIMES[key].expression && !REGIMES[key].model && (REGIMES[key].robot ?? robot) === robot
+  );
+}
+
+// Runs `episodes` episodes of one reward regime on a headless engine and
+// returns one result row per episode. An episode ends on success or after
+// `maxSteps` steps, whichever comes first. The same seed and options always
+// give the same results. `rewardParams` override the regime's parameters
+// (over `gamma` and `learningRate` for the γ and α parameters) and
+// `policyOptions` are passed on to the policy (e.g. `speed`). The 'custom'
+// regime takes its reward expression source as `customExpression`, the
+// 'learned' regime its saved model (see rewardModel.js) as `rewardModel`, and
+// `robot` picks the point mass or the arm, and `taskType` reaching the goal
+// or pushing a block into it. `rewardCorruption` corrupts the reward (see
+// corruption.js): `return` is then the proxy reward collected, while
+// `success` stays the true outcome. Pass an episode `recorder` (see
+// recorder.js) to keep the trajectories; with `recordTransitions`, each
+// recorded step also keeps the reward context of its transition as
+// `transition`.
+export function runEpisodes({
+  rewardType,
+  rewardParams: paramOverrides = null,
+  customExpression = null,
+  rewardModel = null,
+  rewardCorruption = null,
+  policyType = 'greedy',
+  policyOptions = {},
+  recorder = null,
+  recordTransitions = false,
+  robot = 'pointMass',
+  taskType = 'reach',
+  layout = 'open',
+  walls = true,
+  randomizeTasks = false,
+  seed = 1,
+  episodes = 100,
+  maxSteps = 1000,
+  gamma = 0.9,
+  learningRate = 0.1,
+  width = 400,
+  height = 300,
+}) {
+  const customReward = loadCustomReward(customExpression, rewardModel);
+  const sim = new SimulationEngine(null, width, height, {
+    layout,
+    walls,
+    randomizeTasks,
+    seed,
+    customReward,
+    robot,
+    taskType,
+    rewardCorruption,
+  });
+  const rewardParams = resolveParams(rewardType, { gamma, alpha: learningRate, ...paramOverrides });
+  const policy = createPolicy(policyType, {
+    rewardType,
+    rewardParams,
+    customReward,
+    rewardCorruption,
+    gamma,
+    learningRate,
+    width,
+    height,
+    random: createRandom(deriveSeed(seed, 'policy')),
+    ...policyOptions,
+  });
+  const results = [];
+
+  for (let episode = 0; episode < episodes; episode++) {
+    let steps = 0;
+    let totalReward = 0;
+    let success = false;
+    let lastReward = 0;
+    recorder?.startEpisode({ start: sim.getAgentPosition(), goal: sim.getGoalPosition() });
+
+    while (steps < maxSteps) {
+      const observation = sim.getObservation();
+      const velocity = policy.act(observation, lastReward);
+      sim.updateAgentVelocity(velocity.x, velocity.y);
+
+      const time = sim.time;
+      const { reward, isDone } = sim.step(rewardType, rewardParams);
+      policy.update?.({ reward, isDone });
+      recorder?.record({
+        time,
+        x: observation.agent.x,
+        y: observation.agent.y,
+        vx: velocity.x,
+        vy: velocity.y,
+        reward,
+        distance: observation.object ? observation.object.distance : observation.distance,
+        done: isDone,
+        ...(observation.object && { bx: observation.object.pos.x, by: observation.object.pos.y }),
+        ...(recordTransitions && { transition: sim.lastTransition }),
+      });
+      lastReward = reward;
+      steps++;
+      totalReward += reward;
+      if (isDone) {
+        success = true;
+        break;
+      }
+    }
+
+    // step() already resets on success; timeouts need an explicit reset
+    if (!success) {
+      sim.reset();
+    }
+    policy.reset();
+    recorder?.endEpisode({ success });
+
+    results.push({ rewardType, episode, success, steps, return: totalReward });
+  }
+
+  sim.destroy();
+  return results;
+}
+
+export function resultsToCSV(results) {
+  const header = 'rewardType,episode,success,steps,return';
+  const rows = results.map((r) =>
+    [r.rewardType, r.episode, r.success ? 1 : 0, r.steps, r.return].join(',')
+  );
+  return [header, ...rows].join('\n') + '\n';
+}
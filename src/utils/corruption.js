@@ -0,0 +1,138 @@
+import { REGIMES, computeReward } from './regimes.js';
+
+// Reward corruption: noisy or misspecified versions of any regime's reward,
+// to study reward hacking. The corrupted reward is the proxy the agent
+// optimizes; task success (SimulationEngine.isSuccess()) stays the true
+// signal it is judged by.
+//
+// A corruption is a plain object of the values below (see
+// resolveCorruption()). Its static part, the distractor hill and the biased
+// σ, is a different reward function that policies can plan with and the
+// overlay can draw (corruptedReward()). Its stateful part, the noise and the
+// delay, only happens to rewards as the engine delivers them
+// (deliverReward()).
+
+export const CORRUPTIONS = {
+  noise: { label: 'Noise', symbol: 'σ_n', min: 0, max: 1, step: 0.01, default: 0 },
+  distractor: { label: 'Distractor height', symbol: 'h', min: 0, max: 2, step: 0.05, default: 0 },
+  // Distractor center, as a fraction of the arena size
+  distractorX: { label: 'Distractor x', symbol: 'c_x', min: 0, max: 1, step: 0.01, default: 0.25 },
+  distractorY: { label: 'Distractor y', symbol: 'c_y', min: 0, max: 1, step: 0.01, default: 0.2 },
+  distractorWidth: { label: 'Distractor width', symbol: 'w', min: 10, max: 150, step: 5, default: 40 },
+  delay: { label: 'Delay (steps)', symbol: 'k', min: 0, max: 30, step: 1, default: 0 },
+  // Only for regimes with a width σ (semantic)
+  sigmaScale: { label: 'σ bias', symbol: 'b_σ', min: 0.25, max: 4, step: 0.05, default: 1, param: 'sigma' },
+};
+
+// Corruption values: each one from `values` if given there, its default
+// (no corruption) otherwise
+export function resolveCorruption(values = {}) {
+  const corruption = {};
+  Object.entries(CORRUPTIONS).forEach(([name, spec]) => {
+    corruption[name] = values?.[name] ?? spec.default;
+  });
+  return corruption;
+}
+
+// The corruptions that apply to a regime: all but the σ bias for regimes
+// without a σ
+export function corruptionsFor(rewardType) {
+  const { params } = REGIMES[rewardType];
+  return Object.entries(CORRUPTIONS).filter(([, spec]) => !spec.param || spec.param in params);
+}
+
+// True if `values` change the reward at all
+export function isCorrupted(values) {
+  const c = resolveCorruption(values);
+  return c.noise > 0 || c.distractor > 0 || c.delay > 0 || c.sigmaScale !== 1;
+}
+
+// Height of the distractor hill at `pos`, a Gaussian bump away from the goal
+export function distractorAt(pos, c, width, height) {
+  if (!c.distractor) return 0;
+  const dx = pos.x - c.distractorX * width;
+  const dy = pos.y - c.distractorY * height;
+  return c.distractor * Math.exp(-(dx * dx + dy * dy) / (2 * c.distractorWidth * c.distractorWidth));
+}
+
+// Regime parameter values with σ (if the regime has one) scaled by the
+// corruption's bias
+export function biasParams(params, c) {
+  return 'sigma' in params ? { ...params, sigma: params.sigma * c.sigmaScale } : params;
+}
+
+// A regime's reward for a transition (see regimes.js) under the static part
+// of a corruption: with σ scaled by the bias, plus the distractor hill at the
+// position that counts for the task (the block's, when pushing). The hill is
+// in the regime's own reward units.
+export function corruptedReward(key, ctx, params, corruption = null) {
+  if (!corruption) return computeReward(key, ctx, params);
+  const c = resolveCorruption(corruption);
+  const taskPos = ctx.object ? ctx.object.pos : ctx.pos;
+  return computeReward(key, ctx, biasParams(params, c)) + distractorAt(taskPos, c, ctx.width, ctx.height);
+}
+
+// Standard normal sample (Box-Muller)
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// The reward the agent receives this step under the stateful part of a
+// corruption: Gaussian noise from `random`, then held back for `delay`
+// steps in `pending` (the rewards not delivered yet, oldest first), with 0
+// delivered until the first one arrives. Rewards still pending when an
+// episode ends are lost. Without noise, `random` is never drawn from.
+export function deliverReward(reward, corruption, pending, random) {
+  if (!corruption) return reward;
+  const c = resolveCorruption(corruption);
+  const noisy = c.noise > 0 ? reward + c.noise * gaussian(random) : reward;
+  pending.push(noisy);
+  while (pending.length > c.delay + 1) pending.shift();
+  return pending.length > c.delay ? pending.shift() : 0;
+}
+
+// Proxy reward against true success over episode results ({ success,
+// return }, see runEpisodes()): the success rate, the mean return overall
+// and of the successful and failed episodes, and the correlation between
+// return and success (point-biserial; null when either is constant).
+// Reward hacking shows as failed episodes collecting as much proxy reward
+// as successful ones, or more: a correlation near zero or negative.
+export function proxyVersusSuccess(results) {
+  const n = results.length;
+  const meanOf = (rows) => (rows.length > 0 ? rows.reduce((sum, r) => sum + r.return, 0) / rows.length : NaN);
+  const succeeded = results.filter((r) => r.success);
+  const failed = results.filter((r) => !r.success);
+  const meanReturn = meanOf(results);
+  const sd = Math.sqrt(results.reduce((sum, r) => sum + (r.return - meanReturn) ** 2, 0) / n);
+  const p = succeeded.length / n;
+  const correlation = sd > 0 && p > 0 && p < 1
+    ? ((meanOf(succeeded) - meanOf(failed)) / sd) * Math.sqrt(p * (1 - p))
+    : null;
+  return {
+    successRate: p,
+    meanReturn,
+    meanReturnSuccess: meanOf(succeeded),
+    meanReturnFailure: meanOf(failed),
+    correlation,
+  };
+}
+
+// Parses "name=value,name=value" (e.g. "noise=0.1,delay=5") into corruption
+// values. Throws an Error naming the first unknown or non-numeric entry.
+export function parseCorruption(text) {
+  const values = {};
+  text.split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+    const [name, raw] = entry.split('=');
+    if (!Object.hasOwn(CORRUPTIONS, name)) {
+      throw new Error(`unknown corruption '${name}' (expected ${Object.keys(CORRUPTIONS).join(', ')})`);
+    }
+    const value = Number(raw);
+    if (raw === undefined || raw.trim() === '' || !Number.isFinite(value)) {
+      throw new Error(`'${entry}' needs a numeric value`);
+    }
+    values[name] = value;
+  });
+  return values;
+}
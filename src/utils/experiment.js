@@ -0,0 +1,119 @@
+import { runEpisodes } from './batch.js';
+import { meanConfidenceInterval, welchTTest } from './stats.js';
+import { proxyVersusSuccess } from './corruption.js';
+
+// Multi-seed experiments: every arm (a regime with its parameters) runs
+// `seeds` independent headless runs (seeds baseSeed, baseSeed + 1, ...) and
+// is summarized across seeds with 95% confidence intervals and pairwise
+// Welch t-tests.
+
+// Per-seed metrics for one run: success rate, mean steps to goal over the
+// successful episodes (NaN if there were none), the cumulative success rate
+// after each episode, and the return (the proxy reward, under a corruption)
+// against true success: the mean return of the successful and of the failed
+// episodes and their correlation (NaN where undefined, see
+// proxyVersusSuccess())
+export function summarizeRun(rows) {
+  const successes = rows.filter((r) => r.success);
+  let count = 0;
+  const curve = rows.map((r, i) => {
+    if (r.success) count++;
+    return count / (i + 1);
+  });
+  const proxy = proxyVersusSuccess(rows);
+  return {
+    successRate: successes.length / rows.length,
+    meanSteps: successes.length > 0
+      ? successes.reduce((sum, r) => sum + r.steps, 0) / successes.length
+      : NaN,
+    curve,
+    meanReturnSuccess: proxy.meanReturnSuccess,
+    meanReturnFailure: proxy.meanReturnFailure,
+    correlation: proxy.correlation ?? NaN,
+  };
+}
+
+// A confidence interval for a rate, cut to the rates there are: the
+// t-interval runs past 0 or 1 for few seeds far apart
+const rateInterval = (values) => {
+  const ci = meanConfidenceInterval(values);
+  return { ...ci, lo: Math.max(0, ci.lo), hi: Math.min(1, ci.hi) };
+};
+
+// Aggregates per-seed metrics: { [arm]: [summarizeRun(...), ...] }
+export function summarizeExperiment(perSeed) {
+  const regimes = {};
+  Object.entries(perSeed).forEach(([key, runs]) => {
+    const episodes = Math.min(...runs.map((r) => r.curve.length));
+    regimes[key] = {
+      runs,
+      successRate: rateInterval(runs.map((r) => r.successRate)),
+      // Seeds without any success have no steps-to-goal and are left out,
+      // and likewise for the proxy metrics
+      meanSteps: meanConfidenceInterval(runs.map((r) => r.meanSteps).filter(Number.isFinite)),
+      meanReturnSuccess: meanConfidenceInterval(runs.map((r) => r.meanReturnSuccess).filter(Number.isFinite)),
+      meanReturnFailure: meanConfidenceInterval(runs.map((r) => r.meanReturnFailure).filter(Number.isFinite)),
+      correlation: meanConfidenceInterval(runs.map((r) => r.correlation).filter(Number.isFinite)),
+      curve: Array.from({ length: episodes }, (_, i) => ({
+        episode: i,
+        ...rateInterval(runs.map((r) => r.curve[i])),
+      })),
+    };
+  });
+
+  const keys = Object.keys(regimes);
+  const comparisons = [];
+  keys.forEach((a, i) => {
+    keys.slice(i + 1).forEach((b) => {
+      const runsA = regimes[a].runs;
+      const runsB = regimes[b].runs;
+      comparisons.push({
+        a,
+        b,
+        successRate: welchTTest(runsA.map((r) => r.successRate), runsB.map((r) => r.successRate)),
+        meanSteps: welchTTest(
+          runsA.map((r) => r.meanSteps).filter(Number.isFinite),
+          runsB.map((r) => r.meanSteps).filter(Number.isFinite)
+        ),
+      });
+    });
+  });
+
+  return { regimes, comparisons };
+}
+
+// Runs the whole experiment over `arms`, each { key, rewardType,
+// rewardParams, customExpression, rewardModel, rewardCorruption }; other
+// options go to runEpisodes(). Yields to the event loop between runs so a browser stays
+// responsive; `onProgress(done, total)` reports progress.
+export async function runExperiment({ arms, seeds = 10, baseSeed = 1, ...options }, onProgress) {
+  const perSeed = {};
+  const total = arms.length * seeds;
+  let done = 0;
+  for (const {
+    key,
+    rewardType,
+    rewardParams = null,
+    customExpression = null,
+    rewardModel = null,
+    rewardCorruption = null,
+  } of arms) {
+    perSeed[key] = [];
+    for (let k = 0; k < seeds; k++) {
+      const rows = runEpisodes({
+        ...options,
+        rewardType,
+        rewardParams,
+        customExpression,
+        rewardModel,
+        rewardCorruption,
+        seed: baseSeed + k,
+      });
+      perSeed[key].push(summarizeRun(rows));
+      done++;
+      onProgress?.(done, total);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  }
+  return summarizeExperiment(perSeed);
+}
@@ -0,0 +1,320 @@
+// Sandboxed arithmetic expressions for user-defined rewards. Source text is
+// tokenized and parsed into a small AST by hand and evaluated by walking it,
+// so nothing a user types is ever passed to eval or Function and only the
+// variables and functions listed below can be referenced.
+
+// Variables available to a reward expression, with their TeX symbol
+export const EXPRESSION_VARIABLES = {
+  d: { tex: 'd', description: 'distance to the goal (the block\'s, when pushing)' },
+  d_prev: { tex: 'd_{\\text{prev}}', description: 'distance to the goal on the previous step' },
+  d0: { tex: 'd_0', description: 'distance to the goal at the start of the episode' },
+  gamma: { tex: '\\gamma', description: 'discount factor' },
+  alpha: { tex: '\\alpha', description: 'learning rate' },
+  theta: { tex: '\\theta', description: 'success threshold' },
+  x: { tex: 'x', description: 'agent x' },
+  y: { tex: 'y', description: 'agent y' },
+  gx: { tex: 'g_x', description: 'goal x' },
+  gy: { tex: 'g_y', description: 'goal y' },
+  vx: { tex: 'v_x', description: 'agent x velocity' },
+  vy: { tex: 'v_y', description: 'agent y velocity' },
+  bx: { tex: 'b_x', description: 'block x (agent x when reaching)' },
+  by: { tex: 'b_y', description: 'block y (agent y when reaching)' },
+  da: { tex: 'd_a', description: 'agent distance to the spot it pushes the block from (0 when reaching)' },
+  da_prev: { tex: 'd_{a,\\text{prev}}', description: 'the same on the previous step' },
+};
+
+const CONSTANTS = {
+  pi: { value: Math.PI, tex: '\\pi' },
+  e: { value: Math.E, tex: 'e' },
+};
+
+// Supported functions: arity and implementation
+const FUNCTIONS = {
+  sqrt: { arity: 1, fn: Math.sqrt },
+  exp: { arity: 1, fn: Math.exp },
+  log: { arity: 1, fn: Math.log },
+  abs: { arity: 1, fn: Math.abs },
+  min: { arity: 2, fn: Math.min },
+  max: { arity: 2, fn: Math.max },
+  clamp: { arity: 3, fn: (v, lo, hi) => Math.min(hi, Math.max(lo, v)) },
+  if: { arity: 3, fn: (cond, a, b) => (cond ? a : b) },
+};
+
+const COMPARISONS = ['<=', '>=', '==', '!=', '<', '>'];
+
+function syntaxError(message, position) {
+  const error = new Error(`${message} at column ${position + 1}`);
+  error.position = position;
+  return error;
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    const number = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(source.slice(i));
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+    const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+    if (name) {
+      tokens.push({ type: 'name', value: name[0], position: i });
+      i += name[0].length;
+      continue;
+    }
+    const comparison = COMPARISONS.find((op) => source.startsWith(op, i));
+    if (comparison) {
+      tokens.push({ type: 'op', value: comparison, position: i });
+      i += comparison.length;
+      continue;
+    }
+    if ('+-*/^(),'.includes(ch)) {
+      tokens.push({ type: 'op', value: ch, position: i });
+      i++;
+      continue;
+    }
+    throw syntaxError(`Unexpected character '${ch}'`, i);
+  }
+  tokens.push({ type: 'end', value: null, position: source.length });
+  return tokens;
+}
+
+// Recursive-descent parser. Precedence, loosest first:
+//   comparison  <  +,-  <  *,/  <  unary -  <  ^ (right-associative)
+function parse(source) {
+  const tokens = tokenize(source);
+  let index = 0;
+  const peek = () => tokens[index];
+  const isOp = (...ops) => peek().type === 'op' && ops.includes(peek().value);
+  const expect = (op) => {
+    if (!isOp(op)) {
+      throw syntaxError(`Expected '${op}'`, peek().position);
+    }
+    index++;
+  };
+
+  function parseComparison() {
+    const left = parseAdditive();
+    if (isOp(...COMPARISONS)) {
+      const op = tokens[index++].value;
+      return { type: 'binary', op, left, right: parseAdditive() };
+    }
+    return left;
+  }
+
+  function parseAdditive() {
+    let node = parseTerm();
+    while (isOp('+', '-')) {
+      const op = tokens[index++].value;
+      node = { type: 'binary', op, left: node, right: parseTerm() };
+    }
+    return node;
+  }
+
+  function parseTerm() {
+    let node = parseUnary();
+    while (isOp('*', '/')) {
+      const op = tokens[index++].value;
+      node = { type: 'binary', op, left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isOp('-', '+')) {
+      const op = tokens[index++].value;
+      const arg = parseUnary();
+      return op === '-' ? { type: 'negate', arg } : arg;
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (isOp('^')) {
+      index++;
+      return { type: 'binary', op: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (token.type === 'number') {
+      index++;
+      return { type: 'number', value: token.value };
+    }
+    if (token.type === 'name') {
+      index++;
+      if (isOp('(')) {
+        const fn = Object.hasOwn(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : null;
+        if (!fn) throw syntaxError(`Unknown function '${token.value}'`, token.position);
+        index++;
+        const args = [parseComparison()];
+        while (isOp(',')) {
+          index++;
+          args.push(parseComparison());
+        }
+        expect(')');
+        if (args.length !== fn.arity) {
+          throw syntaxError(
+            `${token.value}() takes ${fn.arity} argument${fn.arity === 1 ? '' : 's'}`,
+            token.position
+          );
+        }
+        return { type: 'call', name: token.value, args };
+      }
+      if (Object.hasOwn(EXPRESSION_VARIABLES, token.value)) return { type: 'variable', name: token.value };
+      if (Object.hasOwn(CONSTANTS, token.value)) return { type: 'constant', name: token.value };
+      throw syntaxError(`Unknown variable '${token.value}'`, token.position);
+    }
+    if (isOp('(')) {
+      index++;
+      const node = parseComparison();
+      expect(')');
+      return node;
+    }
+    throw syntaxError(
+      token.type === 'end' ? 'Unexpected end of expression' : `Unexpected '${token.value}'`,
+      token.position
+    );
+  }
+
+  if (peek().type === 'end') throw syntaxError('Expression is empty', 0);
+  const ast = parseComparison();
+  if (peek().type !== 'end') throw syntaxError(`Unexpected '${peek().value}'`, peek().position);
+  return ast;
+}
+
+// Turns the AST into nested closures once, so evaluating per step (or per
+// pixel for the gradient overlay) does not re-walk the tree
+function compileNode(node) {
+  switch (node.type) {
+    case 'number': {
+      const { value } = node;
+      return () => value;
+    }
+    case 'constant': {
+      const { value } = CONSTANTS[node.name];
+      return () => value;
+    }
+    case 'variable': {
+      const { name } = node;
+      return (vars) => vars[name];
+    }
+    case 'negate': {
+      const arg = compileNode(node.arg);
+      return (vars) => -arg(vars);
+    }
+    case 'call': {
+      const { fn } = FUNCTIONS[node.name];
+      const args = node.args.map(compileNode);
+      return (vars) => fn(...args.map((arg) => arg(vars)));
+    }
+    case 'binary': {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      switch (node.op) {
+        case '+': return (vars) => left(vars) + right(vars);
+        case '-': return (vars) => left(vars) - right(vars);
+        case '*': return (vars) => left(vars) * right(vars);
+        case '/': return (vars) => left(vars) / right(vars);
+        case '^': return (vars) => Math.pow(left(vars), right(vars));
+        case '<': return (vars) => (left(vars) < right(vars) ? 1 : 0);
+        case '<=': return (vars) => (left(vars) <= right(vars) ? 1 : 0);
+        case '>': return (vars) => (left(vars) > right(vars) ? 1 : 0);
+        case '>=': return (vars) => (left(vars) >= right(vars) ? 1 : 0);
+        case '==': return (vars) => (left(vars) === right(vars) ? 1 : 0);
+        case '!=': return (vars) => (left(vars) !== right(vars) ? 1 : 0);
+      }
+    }
+  }
+  throw new Error(`Unknown expression node: ${node.type}`);
+}
+
+const PRECEDENCE = { '+': 2, '-': 2, '*': 3, '/': 3, negate: 4, '^': 5 };
+const TEX_COMPARISONS = { '<': '<', '<=': '\\le', '>': '>', '>=': '\\ge', '==': '=', '!=': '\\ne' };
+
+function precedenceOf(node) {
+  if (node.type === 'negate') return PRECEDENCE.negate;
+  // Comparisons are already grouped by their Iverson brackets
+  if (node.type === 'binary' && !COMPARISONS.includes(node.op)) return PRECEDENCE[node.op];
+  return Infinity;
+}
+
+function toTeX(node) {
+  const wrap = (child, minPrecedence) => (precedenceOf(child) < minPrecedence
+    ? `\\left(${toTeX(child)}\\right)`
+    : toTeX(child));
+
+  switch (node.type) {
+    case 'number':
+      return String(node.value);
+    case 'constant':
+      return CONSTANTS[node.name].tex;
+    case 'variable':
+      return EXPRESSION_VARIABLES[node.name].tex;
+    case 'negate':
+      return `-${wrap(node.arg, PRECEDENCE.negate)}`;
+    case 'call': {
+      const args = node.args.map(toTeX);
+      switch (node.name) {
+        case 'sqrt': return `\\sqrt{${args[0]}}`;
+        case 'abs': return `\\left|${args[0]}\\right|`;
+        case 'log': return `\\ln\\left(${args[0]}\\right)`;
+        case 'exp': return `\\exp\\left(${args[0]}\\right)`;
+        case 'min': return `\\min\\left(${args.join(', ')}\\right)`;
+        case 'max': return `\\max\\left(${args.join(', ')}\\right)`;
+        case 'if': return `\\begin{cases} ${args[1]} & \\text{if } ${args[0]} \\\\ ${args[2]} & \\text{otherwise} \\end{cases}`;
+        default: return `\\operatorname{${node.name}}\\left(${args.join(', ')}\\right)`;
+      }
+    }
+    case 'binary': {
+      const { op } = node;
+      if (COMPARISONS.includes(op)) {
+        // Comparisons evaluate to 1 or 0: shown as an Iverson bracket
+        return `\\left[${toTeX(node.left)} ${TEX_COMPARISONS[op]} ${toTeX(node.right)}\\right]`;
+      }
+      if (op === '/') return `\\frac{${toTeX(node.left)}}{${toTeX(node.right)}}`;
+      if (op === '^') return `{${wrap(node.left, Infinity)}}^{${toTeX(node.right)}}`;
+      const p = PRECEDENCE[op];
+      // Left-associative: the right operand needs parentheses at equal precedence
+      const left = wrap(node.left, p);
+      const right = wrap(node.right, op === '-' || op === '*' ? p + 1 : p);
+      return `${left} ${op === '*' ? '\\cdot' : op} ${right}`;
+    }
+  }
+  return '';
+}
+
+// Parses `source` and returns { source, evaluate(vars), tex }. Throws an
+// Error (with a `position` column index) on invalid input. `evaluate`
+// returns 0 for results that are not finite numbers.
+export function compileExpression(source) {
+  const ast = parse(source);
+  const run = compileNode(ast);
+  return {
+    source,
+    evaluate: (vars) => {
+      const value = run(vars);
+      return Number.isFinite(value) ? value : 0;
+    },
+    tex: toTeX(ast),
+  };
+}
+
+// Non-throwing variant for editors: { expression, error }
+export function tryCompileExpression(source) {
+  try {
+    return { expression: compileExpression(source), error: null };
+  } catch (err) {
+    return { expression: null, error: err };
+  }
+}
@@ -0,0 +1,139 @@
+import { isBlocked } from './layouts.js';
+
+// Shortest-path (geodesic) distance to the goal around obstacles.
+//
+// The arena is rasterized into an occupancy grid, obstacles grown by the
+// agent radius, and Dijkstra runs once from the goal cell over the 8-connected
+// free cells. The resulting field is precomputed per layout and goal, and
+// looked up with bilinear interpolation so the potential stays smooth at the
+// scale of a single step.
+
+// Binary min-heap of [priority, index] pairs
+function createHeap() {
+  const items = [];
+  const swap = (i, j) => {
+    [items[i], items[j]] = [items[j], items[i]];
+  };
+  return {
+    get size() {
+      return items.length;
+    },
+    push(item) {
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (items[parent][0] <= items[i][0]) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const l = 2 * i + 1;
+          const r = l + 1;
+          let smallest = i;
+          if (l < items.length && items[l][0] < items[smallest][0]) smallest = l;
+          if (r < items.length && items[r][0] < items[smallest][0]) smallest = r;
+          if (smallest === i) break;
+          swap(i, smallest);
+          i = smallest;
+        }
+      }
+      return top;
+    },
+  };
+}
+
+const NEIGHBORS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, Math.SQRT2], [-1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, -1, Math.SQRT2],
+];
+
+export function computeDistanceField(width, height, goalPos, obstacles = [], {
+  cellSize = 5,
+  padding = 15, // Agent radius: cells the agent's center can't reach are blocked
+} = {}) {
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const distances = new Float64Array(cols * rows).fill(Infinity);
+
+  const center = (col, row) => ({ x: (col + 0.5) * cellSize, y: (row + 0.5) * cellSize });
+  const blocked = new Uint8Array(cols * rows);
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      blocked[row * cols + col] = isBlocked(center(col, row), obstacles, padding) ? 1 : 0;
+    }
+  }
+
+  // Seed with the exact Euclidean distance from the goal's cell center
+  const goalCol = Math.max(0, Math.min(cols - 1, Math.floor(goalPos.x / cellSize)));
+  const goalRow = Math.max(0, Math.min(rows - 1, Math.floor(goalPos.y / cellSize)));
+  const goalIdx = goalRow * cols + goalCol;
+  const goalCenter = center(goalCol, goalRow);
+  distances[goalIdx] = Math.hypot(goalCenter.x - goalPos.x, goalCenter.y - goalPos.y);
+
+  const heap = createHeap();
+  heap.push([distances[goalIdx], goalIdx]);
+  while (heap.size > 0) {
+    const [dist, idx] = heap.pop();
+    if (dist > distances[idx]) continue;
+    const col = idx % cols;
+    const row = (idx - col) / cols;
+    NEIGHBORS.forEach(([dc, dr, cost]) => {
+      const nc = col + dc;
+      const nr = row + dr;
+      if (nc < 0 || nc >= cols || nr < 0 || nr >= rows) return;
+      const nIdx = nr * cols + nc;
+      if (blocked[nIdx]) return;
+      // No corner cutting between two blocked cells
+      if (dc !== 0 && dr !== 0 && blocked[row * cols + nc] && blocked[nr * cols + col]) return;
+      const next = dist + cost * cellSize;
+      if (next < distances[nIdx]) {
+        distances[nIdx] = next;
+        heap.push([next, nIdx]);
+      }
+    });
+  }
+
+  let maxDistance = 0;
+  distances.forEach((d) => {
+    if (Number.isFinite(d)) maxDistance = Math.max(maxDistance, d);
+  });
+
+  // Bilinear interpolation over the reachable neighbor cells. Positions with
+  // no reachable neighbor (inside an obstacle) get the largest distance.
+  const distanceAt = ({ x, y }) => {
+    const fx = Math.max(0, Math.min(cols - 1, x / cellSize - 0.5));
+    const fy = Math.max(0, Math.min(rows - 1, y / cellSize - 0.5));
+    const c0 = Math.floor(fx);
+    const r0 = Math.floor(fy);
+    const c1 = Math.min(cols - 1, c0 + 1);
+    const r1 = Math.min(rows - 1, r0 + 1);
+    const tx = fx - c0;
+    const ty = fy - r0;
+
+    let sum = 0;
+    let weight = 0;
+    [
+      [c0, r0, (1 - tx) * (1 - ty)],
+      [c1, r0, tx * (1 - ty)],
+      [c0, r1, (1 - tx) * ty],
+      [c1, r1, tx * ty],
+    ].forEach(([c, r, w]) => {
+      const d = distances[r * cols + c];
+      if (Number.isFinite(d) && w > 0) {
+        sum += d * w;
+        weight += w;
+      }
+    });
+    return weight > 0 ? sum / weight : maxDistance;
+  };
+
+  return { cols, rows, cellSize, distances, maxDistance, distanceAt };
+}
@@ -0,0 +1,57 @@
+// Arena layouts: static obstacles placed in the world by SimulationEngine.
+//
+// Shapes are given in fractions of the arena size so a layout works for any
+// width/height: rectangles by center and size, circles by center and a
+// radius in fractions of the arena height.
+
+export const LAYOUTS = {
+  open: {
+    label: 'Open Arena',
+    obstacles: [],
+  },
+  uTrap: {
+    // Cup open towards the start position with the goal right behind it.
+    // Greedy descent on a Euclidean reward walks straight into the cup.
+    label: 'U-Shaped Trap',
+    obstacles: [
+      { type: 'rect', x: 0.6, y: 0.5, w: 0.04, h: 0.56 },
+      { type: 'rect', x: 0.5, y: 0.24, w: 0.24, h: 0.04 },
+      { type: 'rect', x: 0.5, y: 0.76, w: 0.24, h: 0.04 },
+    ],
+  },
+  pillars: {
+    label: 'Pillars',
+    obstacles: [
+      { type: 'circle', x: 0.45, y: 0.25, r: 0.08 },
+      { type: 'circle', x: 0.55, y: 0.6, r: 0.08 },
+      { type: 'circle', x: 0.4, y: 0.8, r: 0.06 },
+      { type: 'rect', x: 0.65, y: 0.3, w: 0.03, h: 0.2 },
+    ],
+  },
+};
+
+// Converts a layout's fractional shapes into pixel coordinates
+export function resolveObstacles(layout, width, height) {
+  const { obstacles = [] } = typeof layout === 'string' ? LAYOUTS[layout] || {} : layout || {};
+  return obstacles.map((o) =>
+    o.type === 'circle'
+      ? { type: 'circle', x: o.x * width, y: o.y * height, r: o.r * height }
+      : { type: 'rect', x: o.x * width, y: o.y * height, w: o.w * width, h: o.h * height }
+  );
+}
+
+// True if `pos` lies inside any obstacle grown by `padding` pixels
+// (use the agent radius to test where the agent's center can go)
+export function isBlocked(pos, obstacles, padding = 0) {
+  return obstacles.some((o) => {
+    if (o.type === 'circle') {
+      const dx = pos.x - o.x;
+      const dy = pos.y - o.y;
+      return dx * dx + dy * dy < Math.pow(o.r + padding, 2);
+    }
+    // Distance from the point to the rectangle
+    const dx = Math.max(Math.abs(pos.x - o.x) - o.w / 2, 0);
+    const dy = Math.max(Math.abs(pos.y - o.y) - o.h / 2, 0);
+    return dx * dx + dy * dy < padding * padding || (dx === 0 && dy === 0);
+  });
+}
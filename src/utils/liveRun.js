@@ -0,0 +1,137 @@
+import { SimulationEngine } from './simulation.js';
+import { createPolicy, sampleDirections } from './policies.js';
+import { createRandom, deriveSeed } from './random.js';
+import { loadCustomReward } from './rewardModel.js';
+
+// One panel's live simulation, stepped in batches: a headless engine and its
+// policy, with the same step loop as the canvas used to run itself. The
+// simulation worker (simulationWorker.js) drives one of these per panel and
+// posts each batch back to the page, which only renders.
+//
+// `rewardParams` are the panel's effective parameter values,
+// `customExpression` the source of an expression-driven regime's reward,
+// `rewardModel` the saved model of the learned regime (compiled and loaded
+// here, since functions can't be posted to a worker) and `rewardCorruption`
+// the panel's reward corruption (see corruption.js). All four can be changed
+// while running with configure(); everything else defines the run.
+export function createLiveRun({
+  rewardType,
+  rewardParams = {},
+  customExpression = null,
+  rewardModel = null,
+  rewardCorruption = null,
+  policyType = 'greedy',
+  robot = 'pointMass',
+  taskType = 'reach',
+  layout = 'open',
+  walls = true,
+  randomizeTasks = false,
+  seed = 1,
+  width,
+  height,
+  gamma,
+  learningRate,
+}) {
+  let customReward = loadCustomReward(customExpression, rewardModel);
+  const sim = new SimulationEngine(null, width, height, {
+    layout,
+    walls,
+    randomizeTasks,
+    seed,
+    customReward,
+    robot,
+    taskType,
+    rewardCorruption,
+  });
+  const policy = createPolicy(policyType, {
+    rewardType,
+    rewardParams,
+    customReward,
+    rewardCorruption,
+    gamma,
+    learningRate,
+    width,
+    height,
+    random: createRandom(deriveSeed(seed, 'policy')),
+  });
+  let lastReward = 0;
+
+  const getTask = () => ({ start: sim.getAgentPosition(), goal: sim.getGoalPosition() });
+
+  // Runs `count` steps. Returns every step as the recorder stores it, the
+  // task of each episode that started during the batch (one per done step,
+  // in order), and the state after the batch for rendering, with the trail
+  // of the episode in progress. The value grid and the policy's directions
+  // (see sampleDirections()) are only built when asked for.
+  const run = (count, { valueGrid = false, directionGrid = false } = {}) => {
+    const steps = [];
+    const tasks = [];
+    for (let i = 0; i < count; i++) {
+      const distance = sim.getTaskDistance();
+      const agentPos = sim.getAgentPosition();
+      const box = sim.getBoxState();
+
+      // Act on the reward of the previous step. getReward() is stateful
+      // (shaping, PRM), so step() must be its only caller.
+      const velocity = policy.act(sim.getObservation(), lastReward);
+      sim.updateAgentVelocity(velocity.x, velocity.y);
+
+      const time = sim.time;
+      const stepResult = sim.step(rewardType, rewardParams);
+      const { reward, isDone } = stepResult;
+      policy.update?.(stepResult);
+      steps.push({
+        time,
+        x: agentPos.x,
+        y: agentPos.y,
+        // The commanded velocity: step() zeroes the engine's on success
+        vx: velocity.x,
+        vy: velocity.y,
+        reward,
+        distance,
+        done: isDone,
+        ...(box && { bx: box.x, by: box.y }),
+      });
+      lastReward = reward;
+
+      if (isDone) {
+        // Reset momentum and state on success
+        policy.reset();
+        lastReward = 0;
+        tasks.push(getTask());
+      }
+    }
+
+    return {
+      steps,
+      tasks,
+      state: {
+        agent: sim.getAgentPosition(),
+        goal: sim.getGoalPosition(),
+        joints: sim.getJointAngles(),
+        box: sim.getBoxState(),
+        distance: sim.getTaskDistance(),
+        time: sim.time,
+        trail: sim.positionHistory,
+      },
+      stats: policy.getStats?.() ?? null,
+      valueGrid: valueGrid ? policy.getValueGrid?.() ?? null : null,
+      directionGrid: directionGrid ? sampleDirections(policy, sim.getObservation()) : null,
+    };
+  };
+
+  // New reward parameters, expression, model or corruption, from the next
+  // step on
+  const configure = (options) => {
+    rewardParams = options.rewardParams;
+    customReward = loadCustomReward(options.customExpression, options.rewardModel);
+    sim.customReward = customReward;
+    sim.rewardCorruption = options.rewardCorruption ?? null;
+    policy.configure?.({ rewardParams, customReward, rewardCorruption: sim.rewardCorruption });
+  };
+
+  // What the policy can show on the overlays
+  const provides = { valueGrid: Boolean(policy.getValueGrid), directions: Boolean(policy.getDirection) };
+
+  return { task: getTask(), joints: sim.getJointAngles(), provides, run, configure, destroy: () => sim.destroy() };
+}
@@ -0,0 +1,95 @@
+// Minimal multilayer perceptron in plain JS: tanh hidden layers, linear
+// output, manual backprop and SGD. Small enough to train in the browser
+// every episode.
+
+export function createMLP(sizes, random = Math.random) {
+  const layers = [];
+  for (let l = 0; l < sizes.length - 1; l++) {
+    const nIn = sizes[l];
+    const nOut = sizes[l + 1];
+    // Xavier/Glorot uniform initialization
+    const limit = Math.sqrt(6 / (nIn + nOut));
+    const W = new Float64Array(nIn * nOut);
+    for (let i = 0; i < W.length; i++) {
+      W[i] = (random() * 2 - 1) * limit;
+    }
+    layers.push({ nIn, nOut, W, b: new Float64Array(nOut) });
+  }
+
+  // Returns the output plus the per-layer activations backward() needs
+  const forward = (input) => {
+    const activations = [Float64Array.from(input)];
+    let x = activations[0];
+    layers.forEach((layer, l) => {
+      const out = new Float64Array(layer.nOut);
+      for (let o = 0; o < layer.nOut; o++) {
+        let sum = layer.b[o];
+        for (let i = 0; i < layer.nIn; i++) {
+          sum += layer.W[o * layer.nIn + i] * x[i];
+        }
+        out[o] = l < layers.length - 1 ? Math.tanh(sum) : sum;
+      }
+      activations.push(out);
+      x = out;
+    });
+    return { output: x, activations };
+  };
+
+  const zeroGradients = () =>
+    layers.map((layer) => ({
+      W: new Float64Array(layer.W.length),
+      b: new Float64Array(layer.b.length),
+    }));
+
+  // Accumulates dLoss/dParams into `grads` given dLoss/dOutput
+  const backward = (activations, gradOutput, grads) => {
+    let delta = Float64Array.from(gradOutput);
+    for (let l = layers.length - 1; l >= 0; l--) {
+      const layer = layers[l];
+      const input = activations[l];
+      const gradInput = new Float64Array(layer.nIn);
+      for (let o = 0; o < layer.nOut; o++) {
+        grads[l].b[o] += delta[o];
+        for (let i = 0; i < layer.nIn; i++) {
+          grads[l].W[o * layer.nIn + i] += delta[o] * input[i];
+          gradInput[i] += delta[o] * layer.W[o * layer.nIn + i];
+        }
+      }
+      if (l > 0) {
+        // Through the tanh of the previous layer: d tanh(z) = 1 - tanh(z)^2
+        for (let i = 0; i < layer.nIn; i++) {
+          gradInput[i] *= 1 - input[i] * input[i];
+        }
+      }
+      delta = gradInput;
+    }
+  };
+
+  const gradientNorm = (grads) => {
+    let sumSq = 0;
+    grads.forEach((g) => {
+      g.W.forEach((v) => { sumSq += v * v; });
+      g.b.forEach((v) => { sumSq += v * v; });
+    });
+    return Math.sqrt(sumSq);
+  };
+
+  // Plain gradient descent step: params -= lr * grads
+  const applyGradients = (grads, lr) => {
+    layers.forEach((layer, l) => {
+      for (let i = 0; i < layer.W.length; i++) layer.W[i] -= lr * grads[l].W[i];
+      for (let i = 0; i < layer.b.length; i++) layer.b[i] -= lr * grads[l].b[i];
+    });
+  };
+
+  // Weights as plain arrays, e.g. to post to a worker or save, and back
+  const getWeights = () => layers.map((layer) => ({ W: Array.from(layer.W), b: Array.from(layer.b) }));
+  const setWeights = (weights) => {
+    weights.forEach(({ W, b }, l) => {
+      layers[l].W.set(W);
+      layers[l].b.set(b);
+    });
+  };
+
+  return { forward, backward, zeroGradients, gradientNorm, applyGradients, getWeights, setWeights };
+}
@@ -0,0 +1,353 @@
+import { resolveParams } from './regimes.js';
+import { corruptedReward } from './corruption.js';
+import { isBlocked } from './layouts.js';
+import { pushPosition } from './simulation.js';
+import { createQLearningPolicy } from './qlearning.js';
+import { createReinforcePolicy } from './reinforce.js';
+
+// Policy interface
+// ----------------
+// A policy is a plain object created by a factory function:
+//
+//   {
+//     act(observation, reward) -> { x, y }   velocity command for this step
+//     reset()                                 clear per-episode state
+//     update({ reward, isDone })              optional: learn from step() result
+//     getValueGrid()                          optional: { cols, rows, cellSize, values }
+//     getDirection(observation) -> { x, y }   optional: unit direction it prefers
+//                                             there, or null; must not change
+//                                             its state or draw random numbers
+//     getStats()                              optional: learner stats shown in the HUD
+//     configure({ rewardParams, customReward, rewardCorruption })
+//                                             optional: new reward parameters,
+//                                             applied while running
+//   }
+//
+// `observation` comes from SimulationEngine.getObservation() and `reward` is
+// the reward returned by the previous step() for the panel's regime.
+// Learning policies keep what they learned across reset(). Policies need no
+// DOM, so they run the same in the browser and headless under Node.
+
+// Where the block ends up if the agent steps from `agentPos` to `testPos`,
+// in the push task. If the agent would touch it, the block moves along the
+// contact normal by the part of the step along it; otherwise it stays put.
+function predictObject(object, agentPos, testPos, agentRadius) {
+  // Test position in the block's frame, and the closest point of the block
+  const dx = testPos.x - object.pos.x;
+  const dy = testPos.y - object.pos.y;
+  const cos = Math.cos(object.angle);
+  const sin = Math.sin(object.angle);
+  const half = object.size / 2;
+  const u = dx * cos + dy * sin;
+  const v = -dx * sin + dy * cos;
+  const cu = Math.max(-half, Math.min(half, u));
+  const cv = Math.max(-half, Math.min(half, v));
+  const gap = Math.hypot(u - cu, v - cv);
+  if (gap >= agentRadius) return object.pos;
+
+  // Contact normal from the agent into the block (towards its center when
+  // the test position is inside it)
+  const [nu, nv] = gap > 0 ? [cu - u, cv - v] : [-u, -v];
+  const nx = nu * cos - nv * sin;
+  const ny = nu * sin + nv * cos;
+  const length = Math.hypot(nx, ny);
+  if (length === 0) return object.pos;
+  const push = ((testPos.x - agentPos.x) * nx + (testPos.y - agentPos.y) * ny) / length;
+  if (push <= 0) return object.pos;
+  return { x: object.pos.x + (push * nx) / length, y: object.pos.y + (push * ny) / length };
+}
+
+// Reward-guided greedy policy: samples the reward in 8 directions around the
+// agent and moves towards the best unobstructed one, smoothed with momentum.
+// `speed` is the top speed, reached far from the goal. In the push task it
+// predicts where each step would push the block and scores that. With a
+// `rewardCorruption` it plans with the corrupted reward's expected value:
+// the distractor and σ bias, but neither noise nor delay.
+export function createGreedyPolicy({
+  rewardType,
+  rewardParams = {},
+  customReward = null,
+  rewardCorruption = null,
+  width = 400,
+  height = 300,
+  speed = 4,
+}) {
+  let params = resolveParams(rewardType, rewardParams);
+  // Policy state: momentum
+  let momentum = { x: 0, y: 0 };
+
+  const reset = () => {
+    momentum = { x: 0, y: 0 };
+  };
+
+  // Unit direction towards the best sampled reward, before momentum, or
+  // null once the task is done
+  const getDirection = (observation) => {
+    const { agent: agentPos, goal: goalPos, distance, successThreshold } = observation;
+    const { obstacles = [], agentRadius = 15, arm = null, object = null } = observation;
+    // With the arm, positions are the end effector's, in the pose that
+    // reaches them
+    const goalJoints = arm && arm.inverse(goalPos);
+
+    // Distance that counts for success: the block's when pushing
+    const taskDistance = object ? object.distance : distance;
+    // And the agent's distance to where it pushes the block from
+    const approachStart = object && pushPosition(object.pos, goalPos, object.standoff);
+    const approachPrev = object && Math.hypot(agentPos.x - approachStart.x, agentPos.y - approachStart.y);
+
+    // Stop if we've reached success
+    if (taskDistance <= successThreshold) return null;
+
+    // Estimate reward gradient by sampling nearby positions
+    const sampleDistance = 10; // pixels to sample for gradient estimation
+    const samples = [
+      { dx: sampleDistance, dy: 0 },
+      { dx: -sampleDistance, dy: 0 },
+      { dx: 0, dy: sampleDistance },
+      { dx: 0, dy: -sampleDistance },
+      { dx: sampleDistance * 0.707, dy: sampleDistance * 0.707 },
+      { dx: -sampleDistance * 0.707, dy: sampleDistance * 0.707 },
+      { dx: sampleDistance * 0.707, dy: -sampleDistance * 0.707 },
+      { dx: -sampleDistance * 0.707, dy: -sampleDistance * 0.707 },
+    ];
+
+    let bestDirection = { x: 0, y: 0 };
+    // Initialize to negative infinity to ensure we always pick the best direction
+    // For transition-based rewards, staying still gives 0 reward, so we compare against that
+    let maxExpectedReward = -Infinity;
+
+    // Sample rewards in different directions
+    samples.forEach((sample) => {
+      const testPos = {
+        x: agentPos.x + sample.dx,
+        y: agentPos.y + sample.dy,
+      };
+
+      // Clamp to canvas bounds
+      testPos.x = Math.max(15, Math.min(width - 15, testPos.x));
+      testPos.y = Math.max(15, Math.min(height - 15, testPos.y));
+      
+      // Directions that run into an obstacle (or out of reach) are not an option
+      if (isBlocked(testPos, obstacles, agentRadius)) return;
+      if (arm && !arm.isReachable(testPos)) return;
+      // Nor is pushing the block into one
+      const objectPos = object && predictObject(object, agentPos, testPos, agentRadius);
+      const approachFrom = object && pushPosition(objectPos, goalPos, object.standoff);
+      if (object && objectPos !== object.pos && isBlocked(objectPos, obstacles, object.size / 2)) return;
+
+      // Expected reward for the step to the test position, from the same
+      // registry function the engine uses
+      const taskPos = objectPos ?? testPos;
+      const testDistance = Math.sqrt(
+        Math.pow(taskPos.x - goalPos.x, 2) + Math.pow(taskPos.y - goalPos.y, 2)
+      );
+      const expectedReward = corruptedReward(rewardType, {
+        pos: testPos,
+        goal: goalPos,
+        velocity: observation.velocity,
+        d: testDistance,
+        dPrev: taskDistance,
+        d0: observation.initialDistance || taskDistance,
+        geo: observation.distanceField.distanceAt(taskPos),
+        geoPrev: observation.distanceField.distanceAt(object ? object.pos : agentPos),
+        theta: successThreshold,
+        width,
+        height,
+        customReward,
+        joints: arm && goalJoints
+          ? { q: arm.inverse(testPos), qPrev: observation.joints, goal: goalJoints }
+          : null,
+        object: object
+          ? {
+              pos: objectPos,
+              dAgent: Math.hypot(testPos.x - approachFrom.x, testPos.y - approachFrom.y),
+              dAgentPrev: approachPrev,
+            }
+          : null,
+      }, params, rewardCorruption);
+
+      // If this direction has higher expected reward, use it
+      if (expectedReward > maxExpectedReward) {
+        maxExpectedReward = expectedReward;
+        bestDirection = { x: sample.dx, y: sample.dy };
+      }
+    });
+
+    // Normalize direction
+    const dirLength = Math.sqrt(bestDirection.x * bestDirection.x + bestDirection.y * bestDirection.y);
+    if (dirLength > 0) {
+      bestDirection.x /= dirLength;
+      bestDirection.y /= dirLength;
+    } else {
+      // Fallback: move towards goal if no better direction found
+      const dx = goalPos.x - agentPos.x;
+      const dy = goalPos.y - agentPos.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist > 0) {
+        bestDirection.x = dx / dist;
+        bestDirection.y = dy / dist;
+      }
+    }
+    return bestDirection;
+  };
+
+  const act = (observation) => {
+    const bestDirection = getDirection(observation);
+    if (!bestDirection) {
+      momentum = { x: 0, y: 0 };
+      return { x: 0, y: 0 };
+    }
+
+    // Apply momentum for smooth movement (reduces oscillations)
+    const momentumDecay = 0.7; // How much momentum to keep
+    const momentumWeight = 0.3; // How much momentum affects movement
+
+    momentum.x = momentum.x * momentumDecay + bestDirection.x * (1 - momentumDecay);
+    momentum.y = momentum.y * momentumDecay + bestDirection.y * (1 - momentumDecay);
+
+    // Normalize momentum
+    const momLength = Math.sqrt(momentum.x * momentum.x + momentum.y * momentum.y);
+    if (momLength > 0) {
+      momentum.x /= momLength;
+      momentum.y /= momLength;
+    }
+
+    // Combine reward gradient direction with momentum
+    const finalDirection = {
+      x: bestDirection.x * (1 - momentumWeight) + momentum.x * momentumWeight,
+      y: bestDirection.y * (1 - momentumWeight) + momentum.y * momentumWeight,
+    };
+
+    // Normalize final direction
+    const finalLength = Math.sqrt(finalDirection.x * finalDirection.x + finalDirection.y * finalDirection.y);
+    if (finalLength > 0) {
+      finalDirection.x /= finalLength;
+      finalDirection.y /= finalLength;
+    }
+
+    // Calculate speed: faster when far, slower when close
+    const taskDistance = observation.object ? observation.object.distance : observation.distance;
+    const baseSpeed = Math.min(4, Math.max(1.5, taskDistance * 0.015)) * (speed / 4);
+
+    return {
+      x: finalDirection.x * baseSpeed,
+      y: finalDirection.y * baseSpeed,
+    };
+  };
+
+  // The reward it samples follows the panel's parameters, expression and
+  // corruption
+  const configure = (options) => {
+    params = resolveParams(rewardType, options.rewardParams);
+    customReward = options.customReward ?? null;
+    rewardCorruption = options.rewardCorruption ?? null;
+  };
+
+  return { act, reset, configure, getDirection };
+}
+
+// Random-walk baseline: ignores the reward entirely. The heading drifts by a
+// small random turn each step and reflects off the arena bounds and obstacles.
+export function createRandomWalkPolicy({
+  width = 400,
+  height = 300,
+  speed = 2,
+  turnRate = 0.5,
+  random = Math.random,
+}) {
+  let heading = random() * 2 * Math.PI;
+
+  const reset = () => {
+    heading = random() * 2 * Math.PI;
+  };
+
+  const act = (observation) => {
+    const { agent, obstacles = [], agentRadius = 15 } = observation;
+    heading += (random() - 0.5) * 2 * turnRate;
+
+    let vx = Math.cos(heading) * speed;
+    let vy = Math.sin(heading) * speed;
+
+    // Reflect off the arena bounds (same 15px margin the greedy policy clamps to)
+    if (agent.x + vx < 15 || agent.x + vx > width - 15) vx = -vx;
+    if (agent.y + vy < 15 || agent.y + vy > height - 15) vy = -vy;
+    // Turn around in front of obstacles
+    if (isBlocked({ x: agent.x + vx, y: agent.y + vy }, obstacles, agentRadius)) {
+      vx = -vx;
+      vy = -vy;
+    }
+    heading = Math.atan2(vy, vx);
+
+    return { x: vx, y: vy };
+  };
+
+  return { act, reset };
+}
+
+// Epsilon-greedy: follows the greedy policy, but with probability `epsilon`
+// takes a uniformly random direction at the same speed instead.
+export function createEpsilonGreedyPolicy({ epsilon = 0.2, random = Math.random, ...options }) {
+  const greedy = createGreedyPolicy(options);
+
+  const act = (observation, reward) => {
+    const velocity = greedy.act(observation, reward);
+    if (random() >= epsilon) {
+      return velocity;
+    }
+    const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+    const angle = random() * 2 * Math.PI;
+    return { x: Math.cos(angle) * speed, y: Math.sin(angle) * speed };
+  };
+
+  // Its preferred direction is the greedy one; exploration is random
+  return { act, reset: greedy.reset, configure: greedy.configure, getDirection: greedy.getDirection };
+}
+
+export const POLICIES = {
+  greedy: { label: 'Greedy Sampling', create: createGreedyPolicy },
+  random: { label: 'Random Walk', create: createRandomWalkPolicy },
+  epsilonGreedy: { label: 'Epsilon-Greedy', create: createEpsilonGreedyPolicy },
+  qlearning: { label: 'Q-Learning', create: createQLearningPolicy },
+  reinforce: { label: 'REINFORCE (MLP)', create: createReinforcePolicy },
+};
+
+export function createPolicy(policyType, options) {
+  const entry = POLICIES[policyType];
+  if (!entry) {
+    throw new Error(`Unknown policy type: ${policyType}`);
+  }
+  return entry.create(options);
+}
+
+// A policy's preferred direction (see getDirection()) on a grid of agent
+// positions, everything else as in `observation`: { cols, rows, cellSize,
+// directions }, with an x, y pair per cell center in `directions` (NaN where
+// the agent can't be or the policy has no preference). Null for policies
+// without a preferred direction.
+export function sampleDirections(policy, observation, cellSize = 25) {
+  if (!policy.getDirection) return null;
+  const { width, height, goal, obstacles = [], agentRadius = 15, arm = null } = observation;
+  const cols = Math.floor(width / cellSize);
+  const rows = Math.floor(height / cellSize);
+  const directions = new Float32Array(cols * rows * 2).fill(NaN);
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const agent = { x: (col + 0.5) * cellSize, y: (row + 0.5) * cellSize };
+      if (isBlocked(agent, obstacles, agentRadius)) continue;
+      const joints = arm && arm.inverse(agent);
+      if (arm && !joints) continue;
+      const direction = policy.getDirection({
+        ...observation,
+        agent,
+        velocity: { x: 0, y: 0 },
+        distance: Math.hypot(agent.x - goal.x, agent.y - goal.y),
+        ...(arm && { joints }),
+      });
+      if (!direction || (direction.x === 0 && direction.y === 0)) continue;
+      const idx = (row * cols + col) * 2;
+      directions[idx] = direction.x;
+      directions[idx + 1] = direction.y;
+    }
+  }
+  return { cols, rows, cellSize, directions };
+}
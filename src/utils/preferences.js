@@ -0,0 +1,88 @@
+import { runEpisodes } from './batch.js';
+import { createEpisodeRecorder } from './recorder.js';
+import { REGIMES, REGIME_KEYS, computeReward, resolveParams, rewardVariables } from './regimes.js';
+
+// Preference data for the learned reward regime (see rewardModel.js):
+// trajectory segments, pairs of them to label, and a scripted oracle that
+// labels a pair by the return of a reference ("true") reward.
+
+// Rewards the oracle can judge by: the built-in regimes that need nothing
+// but the transition
+export const ORACLE_REGIMES = REGIME_KEYS.filter(
+  (key) => !REGIMES[key].expression && !REGIMES[key].model && !REGIMES[key].robot
+);
+
+// Where segments come from: a random walk for aimless behavior and an
+// epsilon-greedy agent on distance shaping for purposeful behavior, so that
+// pairs differ in how well they do
+const SOURCES = [
+  { policyType: 'random', rewardType: 'sparse' },
+  { policyType: 'epsilonGreedy', rewardType: 'shaping' },
+];
+
+// Records `episodes` episodes per source with the run's options (layout,
+// robot, task, seed, ...) and cuts each into segments of `length` steps,
+// aligned to the episode's end so the step that reaches the goal is kept.
+// A segment is { goal, steps, transitions }: the recorded steps, for drawing,
+// and the reward context of each step's transition.
+export function collectSegments({ episodes = 10, maxSteps = 300, length = 20, ...options }) {
+  const segments = [];
+  SOURCES.forEach((source) => {
+    const recorder = createEpisodeRecorder({ maxEpisodes: episodes, maxStepsPerEpisode: maxSteps });
+    runEpisodes({ ...options, ...source, episodes, maxSteps, recorder, recordTransitions: true });
+    recorder.getEpisodes().forEach((episode) => {
+      for (let end = episode.steps.length; end >= length; end -= length) {
+        const steps = episode.steps.slice(end - length, end);
+        segments.push({ goal: episode.goal, steps, transitions: steps.map((s) => s.transition) });
+      }
+    });
+  });
+  return segments;
+}
+
+// A random pair of different segments
+export function samplePair(segments, random = Math.random) {
+  const i = Math.floor(random() * segments.length);
+  let j = Math.floor(random() * (segments.length - 1));
+  if (j >= i) j++;
+  return { a: segments[i], b: segments[j] };
+}
+
+// Return of a segment under a reference regime with its default parameters
+export function segmentReturn(segment, regime) {
+  const params = resolveParams(regime);
+  return segment.transitions.reduce((sum, ctx) => sum + computeReward(regime, ctx, params), 0);
+}
+
+// The scripted oracle's label for a pair: the segment with the higher
+// reference return, or null for a tie
+export function oraclePreference({ a, b }, regime) {
+  const diff = segmentReturn(a, regime) - segmentReturn(b, regime);
+  if (Math.abs(diff) < 1e-9) return null;
+  return diff > 0 ? 'a' : 'b';
+}
+
+// Labeled pairs ({ a, b, preferred }) as a reward model fits them: the
+// reward variables of every transition
+export function toTrainingPairs(labeled) {
+  const variables = (segment) => segment.transitions.map((ctx) => rewardVariables(ctx));
+  return labeled.map(({ a, b, preferred }) => ({ a: variables(a), b: variables(b), preferred }));
+}
+
+// Share of `count` random pairs (oracle ties left out) that a reward model
+// orders the same way as the oracle: how well it generalizes beyond the
+// labels
+export function oracleAgreement(model, segments, regime, random = Math.random, count = 200) {
+  const modelReturn = (segment) =>
+    segment.transitions.reduce((sum, ctx) => sum + model.evaluate(rewardVariables(ctx)), 0);
+  let agree = 0;
+  let judged = 0;
+  for (let k = 0; k < count; k++) {
+    const pair = samplePair(segments, random);
+    const preferred = oraclePreference(pair, regime);
+    if (!preferred) continue;
+    judged++;
+    if ((modelReturn(pair.a) > modelReturn(pair.b)) === (preferred === 'a')) agree++;
+  }
+  return judged > 0 ? agree / judged : null;
+}
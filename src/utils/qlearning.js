@@ -0,0 +1,122 @@
+// Tabular Q-learning over a grid discretization of the arena.
+//
+// States are grid cells of the agent position, actions are 8 fixed-speed
+// velocity directions. The learner only ever sees the reward returned by
+// SimulationEngine.step(), passed in through update(), so unlike the greedy
+// policy it gets no help from the analytic reward functions.
+
+import { isBlocked } from './layouts.js';
+
+const DIAGONAL = Math.SQRT1_2;
+const ACTIONS = [
+  { x: 1, y: 0 },
+  { x: -1, y: 0 },
+  { x: 0, y: 1 },
+  { x: 0, y: -1 },
+  { x: DIAGONAL, y: DIAGONAL },
+  { x: -DIAGONAL, y: DIAGONAL },
+  { x: DIAGONAL, y: -DIAGONAL },
+  { x: -DIAGONAL, y: -DIAGONAL },
+];
+
+export function createQLearningPolicy({
+  width = 400,
+  height = 300,
+  cellSize = 20,
+  speed = 4,
+  alpha = 0.2, // Q-learning step size
+  discount = 0.99, // Learner's own discount, separate from the shaping gamma
+  epsilon = 0.1,
+  margin = 15, // Keep the agent inside the arena (agent radius)
+  random = Math.random,
+}) {
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const q = new Float64Array(cols * rows * ACTIONS.length);
+
+  // `last` is the (state, action) whose outcome the next update() scores;
+  // `pending` is the one chosen by the most recent act()
+  let last = null;
+  let pending = null;
+
+  const stateIndex = ({ x, y }) => {
+    const col = Math.max(0, Math.min(cols - 1, Math.floor(x / cellSize)));
+    const row = Math.max(0, Math.min(rows - 1, Math.floor(y / cellSize)));
+    return row * cols + col;
+  };
+
+  // Actions that keep the agent inside the arena and out of obstacles
+  const validActions = ({ agent, obstacles = [], agentRadius = margin }) => {
+    const valid = [];
+    ACTIONS.forEach((action, i) => {
+      const next = { x: agent.x + action.x * speed, y: agent.y + action.y * speed };
+      const inside = next.x >= margin && next.x <= width - margin
+        && next.y >= margin && next.y <= height - margin;
+      if (inside && !isBlocked(next, obstacles, agentRadius)) {
+        valid.push(i);
+      }
+    });
+    return valid.length > 0 ? valid : ACTIONS.map((_, i) => i);
+  };
+
+  const maxQ = (state, actions) =>
+    Math.max(...actions.map((a) => q[state * ACTIONS.length + a]));
+
+  // Greedy action with random tie-breaking (all-zero rows early on)
+  const greedyAction = (state, actions) => {
+    const best = maxQ(state, actions);
+    const ties = actions.filter((a) => q[state * ACTIONS.length + a] === best);
+    return ties[Math.floor(random() * ties.length)];
+  };
+
+  const act = (observation) => {
+    const state = stateIndex(observation.agent);
+    const actions = validActions(observation);
+    const action = random() < epsilon
+      ? actions[Math.floor(random() * actions.length)]
+      : greedyAction(state, actions);
+
+    pending = { state, action, actions };
+    const dir = ACTIONS[action];
+    return { x: dir.x * speed, y: dir.y * speed };
+  };
+
+  // Called after every SimulationEngine.step() with its result. step() scores
+  // the state the agent arrived in, so the reward belongs to the previous
+  // (state, action) pair, with the pending state as its successor.
+  const update = ({ reward, isDone }) => {
+    if (last && pending) {
+      const idx = last.state * ACTIONS.length + last.action;
+      const target = reward + (isDone ? 0 : discount * maxQ(pending.state, pending.actions));
+      q[idx] += alpha * (target - q[idx]);
+    }
+    last = isDone ? null : pending;
+    pending = null;
+  };
+
+  const reset = () => {
+    last = null;
+    pending = null;
+  };
+
+  // Current state-value estimate V(s) = max_a Q(s, a) per grid cell
+  const getValueGrid = () => {
+    const values = new Float64Array(cols * rows);
+    for (let s = 0; s < cols * rows; s++) {
+      values[s] = Math.max(...ACTIONS.map((_, a) => q[s * ACTIONS.length + a]));
+    }
+    return { cols, rows, cellSize, values };
+  };
+
+  // Greedy action's direction, without exploration; null while the actions
+  // are still tied, since act() would break the tie at random
+  const getDirection = (observation) => {
+    const state = stateIndex(observation.agent);
+    const actions = validActions(observation);
+    const best = maxQ(state, actions);
+    const ties = actions.filter((a) => q[state * ACTIONS.length + a] === best);
+    return ties.length === 1 ? { ...ACTIONS[ties[0]] } : null;
+  };
+
+  return { act, update, reset, getValueGrid, getDirection };
+}
@@ -0,0 +1,27 @@
+// Seeded pseudo-random numbers.
+//
+// createRandom(seed) returns a function with the same contract as
+// Math.random (uniform in [0, 1)), so it can be passed anywhere a `random`
+// option is accepted. Same seed, same sequence, on every machine.
+
+// mulberry32: small, fast 32-bit generator with good statistical quality
+export function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Derives an independent seed for one consumer of a run seed (e.g. 'tasks',
+// 'policy'), so the streams don't replay the same numbers
+export function deriveSeed(seed, stream) {
+  let h = (seed >>> 0) ^ 0x811c9dc5;
+  for (let i = 0; i < stream.length; i++) {
+    h = Math.imul(h ^ stream.charCodeAt(i), 0x01000193);
+  }
+  return h >>> 0;
+}
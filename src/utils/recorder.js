@@ -0,0 +1,62 @@
+// Per-step episode recorder.
+//
+// Keeps the last `maxEpisodes` completed episodes plus the one in progress.
+// Each step stores the state the agent was in when it acted, the velocity
+// command it issued and what step() returned for it:
+//
+//   { time, x, y, vx, vy, reward, distance, done }
+//
+// where `time` is the simulation clock in ms when the step started. In the
+// push task, `distance` is the block's and steps also store its position as
+// `bx` and `by`.
+//
+// Episodes also remember their goal and start, since randomized tasks move
+// them between episodes.
+
+export function createEpisodeRecorder({ maxEpisodes = 20, maxStepsPerEpisode = 5000 } = {}) {
+  const episodes = [];
+  let current = null;
+  let episodeCount = 0;
+
+  const startEpisode = ({ start, goal }) => {
+    current = {
+      index: episodeCount++,
+      start: { ...start },
+      goal: { ...goal },
+      steps: [],
+      success: false,
+      truncated: false,
+    };
+  };
+
+  const record = (step) => {
+    if (!current) return;
+    if (current.steps.length >= maxStepsPerEpisode) {
+      // Long unsuccessful episodes keep only their beginning
+      current.truncated = true;
+      return;
+    }
+    current.steps.push(step);
+  };
+
+  // Closes the episode in progress; returns it, or null if nothing was recorded
+  const endEpisode = ({ success }) => {
+    if (!current || current.steps.length === 0) return null;
+    current.success = success;
+    episodes.push(current);
+    if (episodes.length > maxEpisodes) {
+      episodes.shift();
+    }
+    const finished = current;
+    current = null;
+    return finished;
+  };
+
+  const getEpisodes = () => [...episodes];
+
+  // Snapshot of the episode in progress, so it can be replayed before it ends
+  const getCurrentEpisode = () =>
+    current && current.steps.length > 0 ? { ...current, steps: [...current.steps] } : null;
+
+  return { startEpisode, record, endEpisode, getEpisodes, getCurrentEpisode };
+}
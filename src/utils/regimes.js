@@ -0,0 +1,293 @@
+// Reward regime registry: every regime is defined here once, and the engine,
+// reward overlay, greedy policy, formula display, charts and panel grid are
+// all driven from it. Adding a regime means adding one entry.
+//
+// Each entry:
+//   label        panel title
+//   shortLabel   chart legend label
+//   color        chart color as an "r, g, b" string
+//   formula      LaTeX for the reward, or a function of the parameter values
+//                and task type returning it, with an optional `where` note
+//                ({ math, text }, or a function returning one)
+//   params       tunable parameters: { [name]: { label, symbol, default, ... } },
+//                numeric ones with min/max/step and choices with
+//                `options` ({ [value]: label })
+//   reward(ctx, params)     reward for one transition (see below)
+//   potential(ctx, params)  optional: the shaping potential, which the
+//                           overlay shows instead of the reward
+//   potentialWhen(params)   optional: whether the reward is the potential's
+//                           difference for these parameter values (see
+//                           potentialFor())
+//   expression   true for the regime driven by a user expression (the
+//                panel shows an editor instead of a fixed formula)
+//   model        true for the regime driven by a reward model learned from
+//                preferences (the panel shows the preference trainer)
+//   robot        set for a regime that only applies to one robot ('arm');
+//                it rewards nothing on the other
+//
+// `ctx` describes a transition to position `pos`:
+//   { pos, goal, velocity, d, dPrev, d0, geo, geoPrev, theta, width, height, customReward, joints, object }
+// d/dPrev are Euclidean and geo/geoPrev geodesic distances to the goal after
+// and before the step, d0 the distance at the start of the episode and theta
+// the success threshold. With the arm, `pos` is the end effector and
+// `joints` is { q, qPrev, goal }: the joint angles after and before the step
+// and the pose that reaches the goal; it is null for the point mass.
+//
+// In the push task the distances (d, dPrev, d0, geo, geoPrev) are the
+// block's, so every regime becomes object-centric, and `object` is
+// { pos, dAgent, dAgentPrev }: the block position and the agent's distance to
+// the spot it pushes the block from (see pushPosition() in simulation.js),
+// after and before the step. It is null in the reach task.
+
+import { jointDistance } from './arm.js';
+import { createRandom, deriveSeed } from './random.js';
+
+const GAMMA = { label: 'Gamma', symbol: 'γ', min: 0, max: 1, step: 0.01, default: 0.9 };
+const ALPHA = { label: 'Scale', symbol: 'α', min: 0, max: 1, step: 0.01, default: 0.1 };
+// Constant per-step reward the shaping term is added to
+const BASE = { label: 'Base reward', symbol: 'R_base', min: -1, max: 1, step: 0.01, default: 0 };
+// Weight of the agent's approach to the block in the push task's shaping
+// potential
+const BETA = { label: 'Approach weight', symbol: 'β', min: 0, max: 1, step: 0.05, default: 0.5, taskType: 'push' };
+
+// The agent's distance to where it pushes the block from, weighted by beta,
+// after the step (or before it); 0 in the reach task
+const approach = (object, beta, before = false) =>
+  (object ? beta * (before ? object.dAgentPrev : object.dAgent) : 0);
+
+// The variables a reward expression (or a learned reward model) reads, for
+// a transition
+export function rewardVariables(ctx, { gamma, alpha } = {}) {
+  return {
+    d: ctx.d,
+    d_prev: ctx.dPrev,
+    d0: ctx.d0,
+    gamma,
+    alpha,
+    theta: ctx.theta,
+    x: ctx.pos.x,
+    y: ctx.pos.y,
+    gx: ctx.goal.x,
+    gy: ctx.goal.y,
+    vx: ctx.velocity.x,
+    vy: ctx.velocity.y,
+    bx: ctx.object ? ctx.object.pos.x : ctx.pos.x,
+    by: ctx.object ? ctx.object.pos.y : ctx.pos.y,
+    da: ctx.object ? ctx.object.dAgent : 0,
+    da_prev: ctx.object ? ctx.object.dAgentPrev : 0,
+  };
+}
+
+// The PRM's progress predictor: smooth, reproducible noise along the path,
+// one standard deviation per unit of `error`. Lattice values every 30 px of
+// distance, from a fixed seed, eased in between.
+const PREDICTOR_PERIOD = 30;
+function predictorError(distance) {
+  const t = distance / PREDICTOR_PERIOD;
+  const k = Math.floor(t);
+  // Uniform on [-√3, √3]: unit variance
+  const lattice = (i) => (createRandom(deriveSeed(i >>> 0, 'prm'))() * 2 - 1) * Math.sqrt(3);
+  const f = t - k;
+  const ease = f * f * (3 - 2 * f);
+  return lattice(k) + (lattice(k + 1) - lattice(k)) * ease;
+}
+
+// The PRM's potential at a geodesic distance to the goal: the predicted hops
+// left, weighted by alpha, and the milestones left, weighted by the
+// milestone reward; negated, so that it grows towards the goal
+function hopPotential(distance, { alpha, hop, bonus, error }) {
+  const hops = distance / hop;
+  const predicted = error > 0 ? hops + error * predictorError(distance) : hops;
+  return -(alpha * predicted + bonus * Math.ceil(hops));
+}
+
+// What the distances in a formula are measured from: the state, or the block
+const subject = (taskType) => (taskType === 'push' ? 'b' : 's');
+const BLOCK_NOTE = { math: 'b', text: ' is the block position' };
+
+export const REGIMES = {
+  sparse: {
+    label: 'Sparse Reward',
+    shortLabel: 'Sparse',
+    color: '59, 130, 246',
+    formula: (params, taskType) =>
+      `R(s) = \\begin{cases} 1.0 & \\text{if } d(${subject(taskType)}, g) < \\theta \\\\ 0.0 & \\text{otherwise} \\end{cases}`,
+    where: (params, taskType) => (taskType === 'push' ? BLOCK_NOTE : null),
+    params: { theta: { label: 'Threshold', symbol: 'θ', min: 5, max: 100, step: 1, default: 35 } },
+    // Only 1 near the goal, 0 elsewhere. Extremely hard to learn. Episodes
+    // still end at the engine's success threshold, whatever theta is.
+    reward: ({ d }, { theta }) => (d < theta ? 1.0 : 0.0),
+  },
+  shaping: {
+    label: 'Distance Shaping',
+    shortLabel: 'Distance Shaping',
+    color: '139, 92, 246',
+    formula: 'R_{\\text{shaped}} = R_{\\text{base}} + \\gamma \\Phi(s\') - \\Phi(s)',
+    where: (params, taskType) => (taskType === 'push'
+      ? {
+          math: '\\Phi(s) = -d(b, g) - \\beta\\, d(s, b^-)',
+          text: ', with b⁻ the spot behind the block the agent pushes it from',
+        }
+      : { math: '\\Phi(s) = -d(s, g)' }),
+    params: { gamma: GAMMA, base: BASE, beta: BETA },
+    // Potential-based: r = R_base + gamma * Phi(s') - Phi(s), positive for
+    // getting closer (pushing: the block to the goal, and the agent to where
+    // it pushes the block from)
+    reward: ({ d, dPrev, object }, { gamma, base, beta }) =>
+      base + (gamma * -(d + approach(object, beta))) - (-(dPrev + approach(object, beta, true))),
+    potential: ({ d, object }, { beta }) => -(d + approach(object, beta)),
+  },
+  geodesic: {
+    label: 'Geodesic Shaping',
+    shortLabel: 'Geodesic Shaping',
+    color: '245, 158, 11',
+    formula: 'R_{\\text{shaped}} = R_{\\text{base}} + \\gamma \\Phi(s\') - \\Phi(s)',
+    where: (params, taskType) => (taskType === 'push'
+      ? {
+          math: '\\Phi(s) = -d_{\\text{geo}}(b, g) - \\beta\\, d(s, b^-)',
+          text: ', the block\'s shortest path plus the agent\'s approach to it',
+        }
+      : {
+          math: '\\Phi(s) = -d_{\\text{geo}}(s, g)',
+          text: ', the shortest-path distance around obstacles',
+        }),
+    params: { gamma: GAMMA, base: BASE, beta: BETA },
+    // Same potential-based form, with Phi = -(shortest-path distance around
+    // obstacles) instead of the straight-line distance
+    reward: ({ geo, geoPrev, object }, { gamma, base, beta }) =>
+      base + (gamma * -(geo + approach(object, beta))) - (-(geoPrev + approach(object, beta, true))),
+    potential: ({ geo, object }, { beta }) => -(geo + approach(object, beta)),
+  },
+  prm: {
+    label: 'Process Model (PRM)',
+    shortLabel: 'PRM',
+    color: '236, 72, 153',
+    formula: ({ progress }) => (progress === 'total'
+      ? 'R_{\\text{PRM}} = \\max\\left(0,\\ \\alpha \\left(\\hat{h}_0 - \\hat{h}(s\')\\right) + r_m \\left(\\lceil h_0 \\rceil - \\lceil h(s\') \\rceil\\right)\\right)'
+      : 'R_{\\text{PRM}} = \\alpha \\left(\\hat{h}(s) - \\hat{h}(s\')\\right) + r_m \\left(\\lceil h(s) \\rceil - \\lceil h(s\') \\rceil\\right)'),
+    where: ({ error, progress }, taskType) => ({
+      math: (error > 0
+        ? 'h(s) = d_{\\text{geo}}(s, g) / \\Delta,\\ \\hat{h} = h + \\sigma_p \\varepsilon(h)'
+        : 'h(s) = \\hat{h}(s) = d_{\\text{geo}}(s, g) / \\Delta') +
+        (progress === 'total' ? ',\\ h_0 = d_0 / \\Delta' : ''),
+      text: `, the ${taskType === 'push' ? 'block\'s ' : ''}hops of length Δ left along the shortest path, ` +
+        (error > 0 ? 'with a predictor error ε that varies along the path' : 'predicted exactly') +
+        (progress === 'total' ? ', and h₀ the hops in the straight-line distance d₀ at the start of the episode' : ''),
+    }),
+    params: {
+      alpha: ALPHA,
+      hop: { label: 'Hop length', symbol: 'Δ', min: 20, max: 150, step: 5, default: 50 },
+      bonus: { label: 'Milestone reward', symbol: 'r_m', min: 0, max: 1, step: 0.01, default: 0.1 },
+      // 0 for a perfect predictor
+      error: { label: 'Predictor error', symbol: 'σ_p', min: 0, max: 1, step: 0.05, default: 0 },
+      progress: {
+        label: 'Progress',
+        symbol: 'p',
+        options: { step: 'Progress this step', total: 'Total progress so far' },
+        default: 'step',
+      },
+    },
+    // Process reward: the path to the goal is cut into hops of length Δ, and
+    // each step earns the progress (in hops) the predictor reports for it,
+    // plus r_m per milestone (hop boundary) crossed towards the goal. Both
+    // terms are differences of a potential, so backtracking pays them back.
+    // With 'total' progress every step instead earns all the progress made
+    // since the start, counted from the straight-line start distance d0 (the
+    // geodesic one isn't known) and never negative; that is not a potential
+    // difference.
+    reward: (ctx, params) => {
+      const after = hopPotential(ctx.geo, params);
+      const before = hopPotential(params.progress === 'total' ? ctx.d0 : ctx.geoPrev, params);
+      if (!Number.isFinite(after) || !Number.isFinite(before)) return 0;
+      return params.progress === 'total' ? Math.max(0, after - before) : after - before;
+    },
+    potential: ({ geo }, params) => hopPotential(geo, params),
+    potentialWhen: ({ progress }) => progress !== 'total',
+  },
+  semantic: {
+    label: 'Semantic Reward',
+    shortLabel: 'Semantic',
+    color: '34, 197, 94',
+    formula: 'R_{\\text{semantic}} = \\exp\\left(-\\frac{d^2}{2\\sigma^2}\\right)',
+    where: (params, taskType) => (taskType === 'push'
+      ? { math: 'd = d(b, g)', text: ', the block\'s distance to the goal' }
+      : null),
+    params: { sigma: { label: 'Width', symbol: 'σ', min: 10, max: 300, step: 5, default: 100 } },
+    // Gaussian similarity: a smooth "hill" to climb, sigma in pixels
+    reward: ({ d }, { sigma }) => Math.exp(-(d * d) / (2 * sigma * sigma)),
+  },
+  joint: {
+    label: 'Joint-space Shaping',
+    shortLabel: 'Joint Shaping',
+    color: '14, 165, 233',
+    formula: 'R_{\\text{shaped}} = R_{\\text{base}} + \\gamma \\Phi(s\') - \\Phi(s)',
+    where: {
+      math: '\\Phi(s) = -\\lVert q - q_g \\rVert',
+      text: ', the distance in joint angles (radians) to the arm pose that reaches the goal',
+    },
+    params: { gamma: GAMMA, base: BASE },
+    robot: 'arm',
+    // Potential-based shaping in joint space instead of end-effector space
+    reward: ({ joints }, { gamma, base }) => (joints
+      ? base + (gamma * -jointDistance(joints.q, joints.goal)) - (-jointDistance(joints.qPrev, joints.goal))
+      : 0),
+    potential: ({ joints }) => (joints ? -jointDistance(joints.q, joints.goal) : 0),
+  },
+  custom: {
+    label: 'Custom Reward',
+    shortLabel: 'Custom',
+    color: '20, 184, 166',
+    params: { gamma: GAMMA, alpha: ALPHA },
+    expression: true,
+    // User-defined expression (see expression.js) over the transition
+    reward: (ctx, params) => (ctx.customReward ? ctx.customReward.evaluate(rewardVariables(ctx, params)) : 0),
+  },
+  learned: {
+    label: 'Learned Reward',
+    shortLabel: 'Learned',
+    color: '132, 204, 22',
+    formula: 'R(s, s\') = f_w(\\phi(s, s\'))',
+    where: { math: 'w', text: ' fit to labeled preference pairs with a Bradley–Terry loss' },
+    params: {},
+    model: true,
+    // Reward model learned from preferences (see rewardModel.js); it reads
+    // the same variables as an expression, and rewards nothing untrained
+    reward: (ctx, params) => (ctx.customReward ? ctx.customReward.evaluate(rewardVariables(ctx, params)) : 0),
+  },
+};
+
+export const REGIME_KEYS = Object.keys(REGIMES);
+
+// Parameter values for a regime: each declared parameter from `values` if
+// given there, its default otherwise
+export function resolveParams(key, values = {}) {
+  const params = {};
+  Object.entries(REGIMES[key]?.params || {}).forEach(([name, spec]) => {
+    params[name] = values[name] ?? spec.default;
+  });
+  return params;
+}
+
+// LaTeX for a regime's formula with the given parameter values and task type
+export function formulaFor(key, params, taskType = 'reach') {
+  const { formula } = REGIMES[key];
+  return typeof formula === 'function' ? formula(params, taskType) : formula;
+}
+
+// The note under a regime's formula ({ math, text }), or null
+export function whereFor(key, params, taskType = 'reach') {
+  const { where = null } = REGIMES[key];
+  return typeof where === 'function' ? where(params, taskType) : where;
+}
+
+// A regime's shaping potential for the given parameter values, or null if
+// its reward is not a potential difference for them
+export function potentialFor(key, params) {
+  const { potential = null, potentialWhen } = REGIMES[key];
+  return potential && (!potentialWhen || potentialWhen(params)) ? potential : null;
+}
+
+export function computeReward(key, ctx, params) {
+  const regime = REGIMES[key];
+  return regime ? regime.reward(ctx, params) : 0;
+}
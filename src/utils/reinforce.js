@@ -0,0 +1,147 @@
+import { createMLP } from './mlp.js';
+
+// REINFORCE with a baseline on a small MLP policy.
+//
+// The network maps the goal-relative agent position to the mean of a 2D
+// Gaussian over velocity; the log standard deviation is a free parameter per
+// axis. Rewards come only from SimulationEngine.step() via update(). The
+// policy is updated once per episode, where an episode ends on success, on
+// reset() or after `horizon` steps without reaching the goal.
+
+const LOG_2PI_E = Math.log(2 * Math.PI * Math.E);
+
+// Standard normal sample (Box-Muller)
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+export function createReinforcePolicy({
+  width = 400,
+  height = 300,
+  hiddenSize = 16,
+  speed = 4,
+  stepSize = 0.01,
+  discount = 0.99, // Learner's own discount, separate from the shaping gamma
+  baselineDecay = 0.9, // EMA factor for the return baseline
+  maxGradNorm = 1,
+  horizon = 400,
+  initialLogStd = Math.log(0.5),
+  margin = 15, // Keep the agent inside the arena (agent radius)
+  random = Math.random,
+}) {
+  const net = createMLP([4, hiddenSize, 2], random);
+  const logStd = [initialLogStd, initialLogStd];
+  let baseline = 0;
+
+  // Current episode: per-step network cache, sample and reward
+  let trajectory = [];
+  let pending = null;
+
+  const stats = {
+    episode: 0,
+    lastReturn: 0,
+    entropy: 0,
+    gradNorm: 0,
+  };
+
+  // Differential entropy of the diagonal Gaussian, in nats
+  const entropy = () => logStd.reduce((sum, ls) => sum + 0.5 * LOG_2PI_E + ls, 0);
+  stats.entropy = entropy();
+
+  const features = ({ agent, goal }) => [
+    (goal.x - agent.x) / width,
+    (goal.y - agent.y) / height,
+    agent.x / width - 0.5,
+    agent.y / height - 0.5,
+  ];
+
+  const act = (observation) => {
+    const { output: mean, activations } = net.forward(features(observation));
+    const sample = [0, 1].map((i) => mean[i] + Math.exp(logStd[i]) * gaussian(random));
+    pending = { activations, mean, sample };
+
+    const { agent } = observation;
+    let vx = Math.max(-1, Math.min(1, sample[0])) * speed;
+    let vy = Math.max(-1, Math.min(1, sample[1])) * speed;
+    // Don't let the agent leave the arena
+    if (agent.x + vx < margin || agent.x + vx > width - margin) vx = 0;
+    if (agent.y + vy < margin || agent.y + vy > height - margin) vy = 0;
+    return { x: vx, y: vy };
+  };
+
+  const finishEpisode = () => {
+    if (trajectory.length === 0) return;
+
+    // Discounted returns-to-go
+    const returns = new Float64Array(trajectory.length);
+    let G = 0;
+    for (let t = trajectory.length - 1; t >= 0; t--) {
+      G = trajectory[t].reward + discount * G;
+      returns[t] = G;
+    }
+
+    // Policy gradient of -sum_t (G_t - b) log pi(a_t | s_t)
+    const grads = net.zeroGradients();
+    const logStdGrad = [0, 0];
+    trajectory.forEach(({ activations, mean, sample }, t) => {
+      const advantage = returns[t] - baseline;
+      const gradMean = [0, 1].map((i) => {
+        const variance = Math.exp(2 * logStd[i]);
+        const diff = sample[i] - mean[i];
+        logStdGrad[i] -= advantage * ((diff * diff) / variance - 1) / trajectory.length;
+        return -advantage * diff / variance / trajectory.length;
+      });
+      net.backward(activations, gradMean, grads);
+    });
+
+    // Clip the combined gradient norm; the unclipped norm is reported so the
+    // variance of the signal from each reward regime stays visible
+    const gradNorm = Math.sqrt(
+      net.gradientNorm(grads) ** 2 + logStdGrad[0] ** 2 + logStdGrad[1] ** 2
+    );
+    const scale = gradNorm > maxGradNorm ? maxGradNorm / gradNorm : 1;
+    net.applyGradients(grads, stepSize * scale);
+    logStd.forEach((ls, i) => {
+      logStd[i] = Math.max(-3, Math.min(0.5, ls - stepSize * scale * logStdGrad[i]));
+    });
+
+    const meanReturn = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    baseline = baselineDecay * baseline + (1 - baselineDecay) * meanReturn;
+
+    stats.episode++;
+    stats.lastReturn = trajectory.reduce((sum, step) => sum + step.reward, 0);
+    stats.entropy = entropy();
+    stats.gradNorm = gradNorm;
+    trajectory = [];
+  };
+
+  // Called after every SimulationEngine.step() with its result
+  const update = ({ reward, isDone }) => {
+    if (!pending) return;
+    trajectory.push({ ...pending, reward });
+    pending = null;
+    if (isDone || trajectory.length >= horizon) {
+      finishEpisode();
+    }
+  };
+
+  const reset = () => {
+    finishEpisode();
+    pending = null;
+  };
+
+  const getStats = () => ({ ...stats });
+
+  // Direction of the Gaussian's mean, clipped as act() clips samples
+  const getDirection = (observation) => {
+    const { output: mean } = net.forward(features(observation));
+    const x = Math.max(-1, Math.min(1, mean[0]));
+    const y = Math.max(-1, Math.min(1, mean[1]));
+    const length = Math.hypot(x, y);
+    return length > 0 ? { x: x / length, y: y / length } : null;
+  };
+
+  return { act, update, reset, getStats, getDirection };
+}
@@ -0,0 +1,107 @@
+import { createMLP } from './mlp.js';
+import { compileExpression } from './expression.js';
+
+// Reward model learned from pairwise preferences.
+//
+// The model scores a transition from a few features of its reward variables
+// (the ones a reward expression reads, see rewardVariables() in regimes.js),
+// so a loaded model stands in for a compiled expression as the engine's
+// `customReward`. A segment's return is the sum of its transitions' scores,
+// and the model is fit with the Bradley–Terry loss:
+//
+//   P(A preferred to B) = sigmoid(R(A) - R(B))
+//
+// Only differences between returns are learned, so the reward is identified
+// up to a constant per transition.
+
+export const REWARD_MODEL_TYPES = {
+  linear: { label: 'Linear', hidden: [] },
+  mlp: { label: 'MLP (16 tanh units)', hidden: [16] },
+};
+
+// Features of a transition, each roughly within [-1, 1]. `scale` is the arena
+// diagonal; 4 px is the top speed of a step.
+export const REWARD_FEATURES = {
+  distance: { label: 'Distance to goal', value: (v, scale) => v.d / scale },
+  progress: { label: 'Progress this step', value: (v) => (v.d_prev - v.d) / 4 },
+  atGoal: { label: 'Within the threshold', value: (v) => (v.d < v.theta ? 1 : 0) },
+  speed: { label: 'Speed', value: (v) => Math.hypot(v.vx, v.vy) / 4 },
+  offsetX: { label: 'x offset from goal', value: (v, scale) => (v.bx - v.gx) / scale },
+  offsetY: { label: 'y offset from goal', value: (v, scale) => (v.by - v.gy) / scale },
+  approach: { label: 'Distance to the block', value: (v, scale) => v.da / scale },
+};
+const FEATURE_KEYS = Object.keys(REWARD_FEATURES);
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+// `scale` is the arena diagonal the features are normalized by. Pass the
+// `weights` of a saved model (see toJSON()) to restore it.
+export function createRewardModel({ type = 'linear', scale, weights = null, random = Math.random }) {
+  const mlp = createMLP([FEATURE_KEYS.length, ...REWARD_MODEL_TYPES[type].hidden, 1], random);
+  if (weights) {
+    mlp.setWeights(weights);
+  }
+
+  const features = (vars) => FEATURE_KEYS.map((key) => REWARD_FEATURES[key].value(vars, scale));
+
+  // Reward of one transition, from its reward variables
+  const evaluate = (vars) => mlp.forward(features(vars)).output[0];
+
+  // Gradient descent on the mean Bradley–Terry loss over `pairs`, each
+  // { a, b, preferred }: the reward variables of both segments' transitions
+  // and 'a' or 'b'. Returns the loss and the share of pairs the fitted model
+  // orders like the labels.
+  const fit = (pairs, { epochs = 200, learningRate = 0.05 } = {}) => {
+    const encoded = pairs.map(({ a, b, preferred }) => ({
+      a: a.map(features),
+      b: b.map(features),
+      label: preferred === 'a' ? 1 : 0,
+    }));
+    const segmentReturn = (segment) => {
+      const passes = segment.map((x) => mlp.forward(x));
+      return { passes, value: passes.reduce((sum, { output }) => sum + output[0], 0) };
+    };
+
+    let loss = 0;
+    let correct = 0;
+    for (let epoch = 0; epoch <= epochs; epoch++) {
+      const grads = mlp.zeroGradients();
+      loss = 0;
+      correct = 0;
+      encoded.forEach(({ a, b, label }) => {
+        const returnA = segmentReturn(a);
+        const returnB = segmentReturn(b);
+        const p = sigmoid(returnA.value - returnB.value);
+        loss -= label ? Math.log(Math.max(p, 1e-12)) : Math.log(Math.max(1 - p, 1e-12));
+        if ((p > 0.5) === (label === 1)) correct++;
+        // dLoss/dR(A) = p - label, and the opposite for B
+        const g = (p - label) / encoded.length;
+        returnA.passes.forEach(({ activations }) => mlp.backward(activations, [g], grads));
+        returnB.passes.forEach(({ activations }) => mlp.backward(activations, [-g], grads));
+      });
+      // The last pass only measures the fitted model
+      if (epoch < epochs) {
+        mlp.applyGradients(grads, learningRate);
+      }
+    }
+    const n = Math.max(1, encoded.length);
+    return { loss: loss / n, accuracy: correct / n };
+  };
+
+  // Plain data to save the model or post it to a worker
+  const toJSON = () => ({ type, scale, weights: mlp.getWeights() });
+
+  return { type, scale, evaluate, fit, toJSON };
+}
+
+// A model saved with toJSON()
+export function loadRewardModel(json) {
+  return createRewardModel(json);
+}
+
+// A panel's own reward, as the engine's `customReward`: its compiled
+// expression, or its learned reward model; null when it has neither
+export function loadCustomReward(customExpression, rewardModel) {
+  if (customExpression) return compileExpression(customExpression);
+  return rewardModel ? loadRewardModel(rewardModel) : null;
+}
@@ -1,107 +1,109 @@
-// Reward calculation functions for different regimes
+// Reward landscape rendering for the panel backgrounds. The rewards
+// themselves are defined in the regime registry (regimes.js).
+import { isBlocked } from './layouts.js';
+import { REGIMES, potentialFor, resolveParams } from './regimes.js';
+import { biasParams, distractorAt, resolveCorruption } from './corruption.js';
 
-export function calculateSparseReward(agentPos, goalPos, threshold = 30) {
-  const distance = Math.sqrt(
-    Math.pow(agentPos.x - goalPos.x, 2) + Math.pow(agentPos.y - goalPos.y, 2)
-  );
-  return distance < threshold ? 1.0 : 0.0;
-}
-
-export function calculateDistanceShapingReward(
-  currentPos,
-  nextPos,
-  goalPos,
-  gamma,
-  baseReward = 0.0
-) {
-  // Define potential as negative Euclidean distance
-  const phiCurrent = -Math.sqrt(
-    Math.pow(currentPos.x - goalPos.x, 2) + Math.pow(currentPos.y - goalPos.y, 2)
-  );
-  const phiNext = -Math.sqrt(
-    Math.pow(nextPos.x - goalPos.x, 2) + Math.pow(nextPos.y - goalPos.y, 2)
-  );
-  
-  // Calculate shaping term: gamma * Phi(s') - Phi(s)
-  const shapingSignal = (gamma * phiNext) - phiCurrent;
-  
-  // Total reward combines task success with shaping
-  return baseReward + shapingSignal;
-}
-
-export function calculatePRMReward(
-  currentPos,
-  goalPos,
-  initialDistance,
-  learningRate = 0.1
-) {
-  const distance = Math.sqrt(
-    Math.pow(currentPos.x - goalPos.x, 2) + Math.pow(currentPos.y - goalPos.y, 2)
-  );
+// Value shown at each pixel for a standing agent (previous position = current,
+// zero velocity, d0 = the arena diagonal): the shaping potential for
+// potential-based regimes, the reward otherwise. Rescaled to 0-1 over the
+// arena, since reward ranges differ between regimes and parameters. With an
+// arm, each pixel is an end-effector position, in the pose that reaches it.
+// In the push task, each pixel is a block position, with the agent touching
+// the block. A reward corruption adds its distractor hill, to the potential
+// too (a greedy agent climbs the sum), and biases σ; noise and delay don't
+// show. Returns null where a pixel is inside an obstacle or out of the arm's reach.
+function rewardField(width, height, goalPos, rewardType, options) {
+  const { obstacles = [], distanceField = null, threshold = 35, customReward = null, arm = null, taskType = 'reach' } = options;
+  const regime = REGIMES[rewardType];
+  const corruption = options.corruption ? resolveCorruption(options.corruption) : null;
+  const params = corruption
+    ? biasParams(resolveParams(rewardType, options.params), corruption)
+    : resolveParams(rewardType, options.params);
+  const potential = potentialFor(rewardType, params);
+  const values = new Float32Array(width * height);
+  const blocked = new Uint8Array(width * height);
+  const d0 = Math.sqrt(width * width + height * height);
+  const goalJoints = arm && arm.inverse(goalPos);
+  let min = Infinity;
+  let max = -Infinity;
   
-  // Continuous Progress Reward: Normalized distance reduction
-  // NO Math.floor or Math.ceil - fully continuous
-  if (initialDistance === null || initialDistance === 0) {
-    return 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const pos = { x, y };
+      const idx = y * width + x;
+      
+      // Mask obstacle pixels: the reward there is never observed
+      if (obstacles.length > 0 && isBlocked(pos, obstacles)) {
+        blocked[idx] = 1;
+        continue;
+      }
+      const q = arm && arm.inverse(pos);
+      if (arm && !q) {
+        blocked[idx] = 1;
+        continue;
+      }
+      
+      const d = Math.sqrt(Math.pow(x - goalPos.x, 2) + Math.pow(y - goalPos.y, 2));
+      const geo = distanceField ? distanceField.distanceAt(pos) : d;
+      const ctx = {
+        pos,
+        goal: goalPos,
+        velocity: { x: 0, y: 0 },
+        d,
+        dPrev: d,
+        d0,
+        geo,
+        geoPrev: geo,
+        theta: threshold,
+        width,
+        height,
+        customReward,
+        joints: q && goalJoints ? { q, qPrev: q, goal: goalJoints } : null,
+        object: taskType === 'push' ? { pos, dAgent: 0, dAgentPrev: 0 } : null,
+      };
+      const value = (potential ? potential(ctx, params) : regime.reward(ctx, params))
+        + (corruption ? distractorAt(pos, corruption, width, height) : 0);
+      values[idx] = value;
+      // Unreachable cells (infinite geodesic distance) show as the minimum
+      if (Number.isFinite(value)) {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+      }
+    }
   }
-  const progress = Math.max(0, (initialDistance - distance) / initialDistance);
-  // Scale by learning rate for consistency
-  return learningRate * progress;
-}
-
-export function calculateSemanticReward(agentPos, goalPos, width, height) {
-  // Gaussian Similarity: R = exp(-d^2 / 2sigma^2)
-  // Provides a smooth "hill" to climb.
-  const distance = Math.sqrt(
-    Math.pow(agentPos.x - goalPos.x, 2) + Math.pow(agentPos.y - goalPos.y, 2)
-  );
   
-  // Use pixel-space sigma for better gradient
-  const sigma = 100; // Adjusted for pixel space (was 0.2 in normalized space)
-  return Math.exp(-Math.pow(distance, 2) / (2 * Math.pow(sigma, 2)));
+  const range = max - min;
+  return (x, y) => {
+    const idx = y * width + x;
+    if (blocked[idx]) return null;
+    if (!Number.isFinite(values[idx])) return 0;
+    return range > 0 ? (values[idx] - min) / range : 0;
+  };
 }
 
-export function generateRewardGradient(width, height, goalPos, rewardType, params = {}) {
+// `options`: { params, obstacles, distanceField, threshold, customReward, arm,
+// taskType, corruption }. A distractor hill is also outlined, dashed, at its
+// width, since in regimes with large rewards it barely shows in the colors.
+export function generateRewardGradient(width, height, goalPos, rewardType, options = {}) {
   const canvas = document.createElement('canvas');
   canvas.width = width;
   canvas.height = height;
   const ctx = canvas.getContext('2d');
   const imageData = ctx.createImageData(width, height);
+  const valueAt = rewardField(width, height, goalPos, rewardType, options);
   
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
-      const pos = { x, y };
-      let reward = 0;
+      const reward = valueAt(x, y);
       
-      switch (rewardType) {
-        case 'sparse':
-          reward = calculateSparseReward(pos, goalPos, params.threshold || 30);
-          break;
-        case 'shaping':
-          // For gradient, use shaping with next position = current position
-          reward = calculateDistanceShapingReward(
-            pos,
-            pos,
-            goalPos,
-            params.gamma || 0.9,
-            0
-          );
-          // Normalize to 0-1 range
-          reward = (reward + 100) / 200; // Rough normalization
-          break;
-        case 'prm':
-          // For gradient, estimate initial distance (use max possible distance)
-          const maxDist = Math.sqrt(width * width + height * height);
-          reward = calculatePRMReward(
-            pos,
-            goalPos,
-            maxDist,
-            params.learningRate || 0.1
-          );
-          break;
-        case 'semantic':
-          reward = calculateSemanticReward(pos, goalPos, width, height);
-          break;
+      if (reward === null) {
+        const idx = (y * width + x) * 4;
+        imageData.data[idx] = 55; // R
+        imageData.data[idx + 1] = 65; // G
+        imageData.data[idx + 2] = 81; // B
+        imageData.data[idx + 3] = 220; // Alpha
+        continue;
       }
       
       // Map reward to color (blue to green gradient)
@@ -123,5 +125,62 @@ export function generateRewardGradient(width, height, goalPos, rewardType, param
   }
   
   ctx.putImageData(imageData, 0, 0);
+  const corruption = options.corruption ? resolveCorruption(options.corruption) : null;
+  if (corruption?.distractor > 0) {
+    ctx.strokeStyle = 'rgba(245, 158, 11, 0.9)';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    ctx.arc(corruption.distractorX * width, corruption.distractorY * height, corruption.distractorWidth, 0, 2 * Math.PI);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+  return canvas;
+}
+
+// Contour lines of the same landscape (rescaled 0-1, see rewardField()) at
+// `levels` evenly spaced values, traced by marching squares on a grid of
+// `spacing` pixels. Squares touching an obstacle or out of the arm's reach
+// are skipped. Same `options` as generateRewardGradient().
+export function generateRewardContours(width, height, goalPos, rewardType, options = {}, levels = 10, spacing = 4) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const valueAt = rewardField(width, height, goalPos, rewardType, options);
+
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.75)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  for (let y = 0; y + spacing < height; y += spacing) {
+    for (let x = 0; x + spacing < width; x += spacing) {
+      // Corners clockwise from the top left, and the edges between them
+      const corners = [
+        [x, y],
+        [x + spacing, y],
+        [x + spacing, y + spacing],
+        [x, y + spacing],
+      ].map(([cx, cy]) => ({ x: cx, y: cy, value: valueAt(cx, cy) }));
+      if (corners.some((c) => c.value === null)) continue;
+
+      for (let k = 1; k < levels; k++) {
+        const level = k / levels;
+        // Where the level crosses each edge, in order around the square
+        const crossings = [];
+        corners.forEach((a, i) => {
+          const b = corners[(i + 1) % 4];
+          if ((a.value < level) === (b.value < level)) return;
+          const t = (level - a.value) / (b.value - a.value);
+          crossings.push({ x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y) });
+        });
+        // Two crossings make one segment; four (a saddle) make two
+        for (let i = 0; i + 1 < crossings.length; i += 2) {
+          ctx.moveTo(crossings[i].x, crossings[i].y);
+          ctx.lineTo(crossings[i + 1].x, crossings[i + 1].y);
+        }
+      }
+    }
+  }
+  ctx.stroke();
   return canvas;
 }
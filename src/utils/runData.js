@@ -0,0 +1,203 @@
+// Run log: everything needed to export a run and compare against it later.
+//
+// Each panel logs the reward of every step and the outcome of every
+// finished episode: its length, undiscounted return, return discounted by the
+// run's gamma, and the simulation time it ended at. Exports are JSON (full
+// run) or a flat CSV with one row per step, whose leading comment line
+// carries the run config. Both import back through parseRun().
+//
+// Parameters such as gamma can change while a run is going: the config holds
+// the current values, and the JSON export lists each change with the
+// simulation time it was made at.
+//
+// Per-step rewards are kept for the last `maxRewards` steps of each panel
+// only, so a long session at high speed doesn't grow without bound; a
+// panel's `droppedSteps` counts the steps before them. Episode outcomes are
+// all kept.
+
+export const RUN_FORMAT_VERSION = 1;
+
+const newEpisode = () => ({ steps: 0, return: 0, discountedReturn: 0, discount: 1 });
+
+// Adds one step's reward to an episode in progress
+function accumulate(episode, reward, gamma) {
+  episode.steps++;
+  episode.return += reward;
+  episode.discountedReturn += episode.discount * reward;
+  episode.discount *= gamma;
+}
+
+export function createRunLog(initialConfig = {}, { maxRewards = 1000000 } = {}) {
+  const panels = {};
+  const config = { ...initialConfig };
+  const configChanges = [];
+  let gamma = config.gamma ?? 1;
+
+  const getPanel = (key) => {
+    if (!panels[key]) {
+      panels[key] = { rewards: [], droppedSteps: 0, episodes: [], current: newEpisode(), time: 0 };
+    }
+    return panels[key];
+  };
+
+  // Called after every step() of a panel; `time` is the simulation clock
+  const recordStep = (key, { reward, isDone, time }) => {
+    const panel = getPanel(key);
+    panel.rewards.push(reward);
+    if (panel.rewards.length > maxRewards) {
+      // A tenth at a time, so the splice doesn't run every step
+      const drop = Math.ceil(maxRewards / 10);
+      panel.rewards.splice(0, drop);
+      panel.droppedSteps += drop;
+    }
+    panel.time = time;
+    accumulate(panel.current, reward, gamma);
+    if (isDone) {
+      panel.episodes.push({
+        episode: panel.episodes.length,
+        steps: panel.current.steps,
+        return: panel.current.return,
+        discountedReturn: panel.current.discountedReturn,
+        success: true,
+        time,
+      });
+      panel.current = newEpisode();
+    }
+  };
+
+  // Applies the values in `values` that differ from the current config
+  const updateConfig = (values) => {
+    const changes = Object.fromEntries(
+      Object.entries(values).filter(([name, value]) => config[name] !== value)
+    );
+    if (Object.keys(changes).length === 0) return;
+    const time = Math.max(0, ...Object.values(panels).map((panel) => panel.time));
+    configChanges.push({ time, changes });
+    Object.assign(config, changes);
+    gamma = config.gamma ?? 1;
+  };
+
+  // Drops a panel's log, when the panel starts over
+  const resetPanel = (key) => {
+    delete panels[key];
+  };
+
+  // Episode outcomes and current simulation time per panel, without the
+  // per-step rewards; cheap enough to poll for live analytics
+  const getSummary = () =>
+    Object.fromEntries(
+      Object.entries(panels).map(([key, { episodes, time }]) => [key, { episodes: [...episodes], time }])
+    );
+
+  const toJSON = () => ({
+    version: RUN_FORMAT_VERSION,
+    config: { ...config },
+    configChanges: configChanges.map((c) => ({ ...c })),
+    panels: Object.fromEntries(
+      Object.entries(panels).map(([key, { rewards, droppedSteps, episodes, time }]) => [
+        key,
+        { rewards: [...rewards], droppedSteps, episodes: episodes.map((e) => ({ ...e })), time },
+      ])
+    ),
+  });
+
+  return { config, recordStep, updateConfig, resetPanel, getSummary, toJSON };
+}
+
+// One row per step whose reward was kept. Steps after a panel's last
+// finished episode belong to the episode still in progress (done = 0).
+export function runToCSV(run) {
+  const lines = [`# config ${JSON.stringify(run.config)}`, 'panel,episode,step,reward,done'];
+  Object.entries(run.panels).forEach(([key, { rewards, droppedSteps = 0, episodes }]) => {
+    // Index of each step among all the panel's steps, dropped ones included
+    let offset = 0;
+    const total = droppedSteps + rewards.length;
+    const lengths = [...episodes.map((e) => e.steps), total - episodes.reduce((n, e) => n + e.steps, 0)];
+    lengths.forEach((length, episode) => {
+      for (let step = Math.max(0, droppedSteps - offset); step < length; step++) {
+        const done = episode < episodes.length && step === length - 1 ? 1 : 0;
+        lines.push([key, episode, step, rewards[offset + step - droppedSteps], done].join(','));
+      }
+      offset += length;
+    });
+  });
+  return lines.join('\n') + '\n';
+}
+
+function parseCSV(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+  let config = {};
+  if (lines[0]?.startsWith('# config ')) {
+    config = JSON.parse(lines.shift().slice('# config '.length));
+  }
+  if (lines.shift() !== 'panel,episode,step,reward,done') {
+    throw new Error('Not a RewardArena run CSV: unexpected header');
+  }
+
+  const gamma = config.gamma ?? 1;
+  const panels = {};
+  const current = {};
+  lines.forEach((line) => {
+    const [key, episodeText, stepText, rewardText, doneText] = line.split(',');
+    const reward = parseFloat(rewardText);
+    if (!panels[key]) {
+      panels[key] = { rewards: [], episodes: [] };
+      current[key] = null;
+    }
+    panels[key].rewards.push(reward);
+    // An export of a capped log starts mid-episode: outcomes start with the
+    // first whole episode, numbered as in the run
+    if (stepText === '0') {
+      current[key] = newEpisode();
+    }
+    if (!current[key]) return;
+    accumulate(current[key], reward, gamma);
+    if (doneText === '1') {
+      panels[key].episodes.push({
+        episode: parseInt(episodeText, 10),
+        steps: current[key].steps,
+        return: current[key].return,
+        discountedReturn: current[key].discountedReturn,
+        success: true,
+        time: null, // Not in the CSV
+      });
+      current[key] = newEpisode();
+    }
+  });
+  return { version: RUN_FORMAT_VERSION, config, panels };
+}
+
+// Parses an exported run, JSON or CSV
+export function parseRun(text) {
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith('{')) {
+    const run = JSON.parse(trimmed);
+    if (!run.panels || typeof run.panels !== 'object') {
+      throw new Error('Not a RewardArena run: missing panels');
+    }
+    return run;
+  }
+  return parseCSV(text);
+}
+
+// Cumulative successes per panel, in the same shape as the live chart data:
+// one entry per success event. Events are ordered by simulation time when
+// the run has it, else by episode index. Live episodes only end in success,
+// so the episode index also counts the successes before it.
+export function runToSuccessSeries(run) {
+  const events = [];
+  Object.entries(run.panels).forEach(([key, { episodes }]) => {
+    episodes
+      .filter((e) => e.success)
+      .forEach((e) => events.push({ key, order: e.time ?? e.episode, count: e.episode + 1 }));
+  });
+  events.sort((a, b) => a.order - b.order);
+
+  const series = [];
+  let last = Object.fromEntries(Object.keys(run.panels).map((key) => [key, 0]));
+  events.forEach(({ key, count }) => {
+    last = { ...last, [key]: count };
+    series.push(last);
+  });
+  return series;
+}
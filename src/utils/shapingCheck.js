@@ -0,0 +1,234 @@
+import { isBlocked } from './layouts.js';
+import { computeReward, potentialFor } from './regimes.js';
+
+// Shaping correctness check: does a regime's reward keep the optimal policy
+// of the task? Potential-based shaping, F = γ_s Φ(s') - Φ(s), provably does
+// when γ_s is the discount the values are computed with (Ng, Harada and
+// Russell, 1999); other rewards, or a mismatched γ, may not.
+//
+// The arena is discretized into cells, with the 8 moves of the greedy policy
+// to neighboring cells (moves into an obstacle or out of the arena stay put)
+// and the cells within the success threshold of the goal absorbing. Value
+// iteration then solves two MDPs on that grid:
+//
+//   base     1 for entering the goal, 0 otherwise: the task itself
+//   shaped   the base reward plus the regime's reward for each move
+//
+// A policy agrees with the task in a cell if its move there is also optimal
+// for the base MDP. Two policies are checked against it: the optimal policy
+// of the shaped MDP, and the one-step greedy policy that takes the move with
+// the best immediate shaped reward without discounting what follows, as the
+// app's greedy policy does.
+//
+// The theorem also needs Φ = 0 at absorbing states. The regimes' potentials
+// aren't (Φ(s) = -d(s, g) is negative inside the success threshold), which
+// pays the agent (1 - γ)d per step for not finishing. `zeroGoalPotential`
+// checks the consistent version instead: moves into the goal drop their
+// γ_s Φ(s') term, with γ_s the regime's `gamma` parameter (1 for regimes
+// without one, whose reward is a plain difference of potentials).
+
+export const MOVES = [
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [1, 1], [-1, 1], [1, -1], [-1, -1],
+];
+
+// Cell status in the result's maps
+export const CELL = { blocked: 0, goal: 1, unreachable: 2, agree: 3, disagree: 4 };
+
+// Value iteration (synchronous sweeps) for a deterministic MDP given as the
+// successor and reward of every (cell, move), with absorbing `terminal`
+// cells. Stops when no value changes by more than `tolerance` times the
+// largest value, or after `maxIterations` sweeps.
+function valueIteration({ next, rewards, free, terminal, gamma, maxIterations, tolerance }) {
+  const n = free.length;
+  let values = new Float64Array(n);
+  let iterations = 0;
+  let converged = false;
+  while (iterations < maxIterations && !converged) {
+    const updated = new Float64Array(n);
+    let delta = 0;
+    let scale = 1;
+    for (let s = 0; s < n; s++) {
+      if (!free[s] || terminal[s]) continue;
+      let best = -Infinity;
+      for (let a = 0; a < MOVES.length; a++) {
+        const k = s * MOVES.length + a;
+        best = Math.max(best, rewards[k] + gamma * values[next[k]]);
+      }
+      updated[s] = best;
+      delta = Math.max(delta, Math.abs(best - values[s]));
+      scale = Math.max(scale, Math.abs(best));
+    }
+    values = updated;
+    iterations++;
+    converged = delta <= tolerance * scale;
+  }
+  return { values, iterations, converged };
+}
+
+// Runs the check for one regime with its parameter values `params` in an
+// arena: { goal, obstacles, distanceField, threshold, width, height }, as
+// the engine has them. `gamma` is the discount for the values, `cellSize`
+// the grid resolution in pixels, `customReward` the panel's expression or
+// model and `zeroGoalPotential` is described above. Point mass, reach task.
+//
+// Returns { cols, rows, cellSize, compared, potentialBased, optimal, greedy,
+// bestMoves, base, shaped }. `optimal` and `greedy` are { agreement, status,
+// moves } for the two policies: the share of the compared cells where they
+// agree with the task, a CELL status per cell and the move (index into
+// MOVES) they take in each. `bestMoves` is the first optimal move of the
+// base MDP per cell, and `base` and `shaped` are { values, iterations,
+// converged } from value iteration. Cells the goal can't be reached from
+// are not compared.
+export function checkShaping({
+  rewardType,
+  params,
+  customReward = null,
+  goal,
+  obstacles = [],
+  distanceField = null,
+  threshold = 35,
+  width,
+  height,
+  gamma = 0.9,
+  zeroGoalPotential = false,
+  cellSize = 10,
+  agentRadius = 15,
+  maxIterations = 2000,
+  tolerance = 1e-10,
+}) {
+  const cols = Math.floor(width / cellSize);
+  const rows = Math.floor(height / cellSize);
+  const n = cols * rows;
+  const center = (s) => ({ x: ((s % cols) + 0.5) * cellSize, y: (Math.floor(s / cols) + 0.5) * cellSize });
+
+  // Free cells: the agent's center fits there (within the 15px margin the
+  // policies keep from the arena's edge)
+  const free = new Uint8Array(n);
+  const terminal = new Uint8Array(n);
+  for (let s = 0; s < n; s++) {
+    const p = center(s);
+    const inside = p.x >= agentRadius && p.x <= width - agentRadius && p.y >= agentRadius && p.y <= height - agentRadius;
+    free[s] = inside && !isBlocked(p, obstacles, agentRadius) ? 1 : 0;
+    terminal[s] = free[s] && Math.hypot(p.x - goal.x, p.y - goal.y) < threshold ? 1 : 0;
+  }
+
+  // Successors and rewards of every move
+  const potential = potentialFor(rewardType, params);
+  const shapingGamma = params.gamma ?? 1;
+  const d0 = Math.hypot(width, height);
+  const next = new Int32Array(n * MOVES.length);
+  const baseRewards = new Float64Array(n * MOVES.length);
+  const shapedRewards = new Float64Array(n * MOVES.length);
+  for (let s = 0; s < n; s++) {
+    if (!free[s] || terminal[s]) continue;
+    const c = s % cols;
+    const r = Math.floor(s / cols);
+    const from = center(s);
+    const dPrev = Math.hypot(from.x - goal.x, from.y - goal.y);
+    const geoPrev = distanceField ? distanceField.distanceAt(from) : dPrev;
+    MOVES.forEach(([dc, dr], a) => {
+      const k = s * MOVES.length + a;
+      const nc = c + dc;
+      const nr = r + dr;
+      const target = nr * cols + nc;
+      const to = nc >= 0 && nc < cols && nr >= 0 && nr < rows && free[target] ? target : s;
+      next[k] = to;
+      const pos = center(to);
+      const d = Math.hypot(pos.x - goal.x, pos.y - goal.y);
+      const ctx = {
+        pos,
+        goal,
+        velocity: { x: pos.x - from.x, y: pos.y - from.y },
+        d,
+        dPrev,
+        d0,
+        geo: distanceField ? distanceField.distanceAt(pos) : d,
+        geoPrev,
+        theta: threshold,
+        width,
+        height,
+        customReward,
+        joints: null,
+        object: null,
+      };
+      let reward = computeReward(rewardType, ctx, params);
+      if (zeroGoalPotential && potential && terminal[to]) {
+        reward -= shapingGamma * potential(ctx, params);
+      }
+      baseRewards[k] = terminal[to] ? 1 : 0;
+      // Rewards around cells the goal can't be reached from aren't finite
+      shapedRewards[k] = baseRewards[k] + (Number.isFinite(reward) ? reward : 0);
+    });
+  }
+
+  const solve = (rewards) => valueIteration({ next, rewards, free, terminal, gamma, maxIterations, tolerance });
+  const base = solve(baseRewards);
+  const shaped = solve(shapedRewards);
+
+  // Q-values of a solved MDP, and the first move that maximizes a score
+  const q = (rewards, values, k) => rewards[k] + gamma * values[next[k]];
+  const argmax = (score) => {
+    let best = 0;
+    for (let a = 1; a < MOVES.length; a++) {
+      if (score(a) > score(best)) best = a;
+    }
+    return best;
+  };
+
+  const bestMoves = new Int8Array(n).fill(-1);
+  const policies = {
+    optimal: (s) => argmax((a) => q(shapedRewards, shaped.values, s * MOVES.length + a)),
+    greedy: (s) => argmax((a) => shapedRewards[s * MOVES.length + a]),
+  };
+  const result = {};
+  Object.keys(policies).forEach((key) => {
+    result[key] = { status: new Uint8Array(n), moves: new Int8Array(n).fill(-1), agreement: NaN };
+  });
+
+  let compared = 0;
+  const agreeing = { optimal: 0, greedy: 0 };
+  const setStatus = (cell, status) => Object.values(result).forEach((policy) => {
+    policy.status[cell] = status;
+  });
+  for (let s = 0; s < n; s++) {
+    if (!free[s]) continue;
+    if (terminal[s]) {
+      setStatus(s, CELL.goal);
+      continue;
+    }
+    // Values are 0 exactly where the goal can't be reached
+    if (base.values[s] === 0) {
+      setStatus(s, CELL.unreachable);
+      continue;
+    }
+
+    compared++;
+    const baseQ = (a) => q(baseRewards, base.values, s * MOVES.length + a);
+    bestMoves[s] = argmax(baseQ);
+    const bestValue = baseQ(bestMoves[s]);
+    Object.entries(policies).forEach(([key, policy]) => {
+      const move = policy(s);
+      // Tied moves are equally optimal; allow for rounding
+      const agrees = baseQ(move) >= bestValue - 1e-12 * Math.max(1, bestValue);
+      result[key].moves[s] = move;
+      result[key].status[s] = agrees ? CELL.agree : CELL.disagree;
+      if (agrees) agreeing[key]++;
+    });
+  }
+  Object.keys(result).forEach((key) => {
+    result[key].agreement = compared > 0 ? agreeing[key] / compared : NaN;
+  });
+
+  return {
+    cols,
+    rows,
+    cellSize,
+    compared,
+    potentialBased: Boolean(potential),
+    bestMoves,
+    base,
+    shaped,
+    ...result,
+  };
+}
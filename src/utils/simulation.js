@@ -1,29 +1,84 @@
 import Matter from 'matter-js';
+import { resolveObstacles, isBlocked } from './layouts.js';
+import { computeDistanceField } from './geodesic.js';
+import { createRandom, deriveSeed } from './random.js';
+import { resolveParams } from './regimes.js';
+import { corruptedReward, deliverReward } from './corruption.js';
+import { armGeometry, createArmKinematics, createArmBodies } from './arm.js';
 
 const { Engine, Render, World, Bodies, Body } = Matter;
 
+// Robots an engine can simulate
+export const ROBOTS = {
+  pointMass: { label: 'Point Mass' },
+  arm: { label: 'Two-link Arm' },
+};
+
+// What an episode asks for: bring the agent to the goal, or push a block
+// into it
+export const TASK_TYPES = {
+  reach: { label: 'Reach the Goal' },
+  push: { label: 'Push the Block' },
+};
+
+// Where the agent pushes a block at `block` from to move it straight towards
+// `goal`: `standoff` px behind it, on the side away from the goal
+export function pushPosition(block, goal, standoff) {
+  const dx = goal.x - block.x;
+  const dy = goal.y - block.y;
+  const length = Math.hypot(dx, dy) || 1;
+  return { x: block.x - (dx / length) * standoff, y: block.y - (dy / length) * standoff };
+}
+
 export class SimulationEngine {
-  constructor(canvasRef, width, height) {
+  // Pass a canvas element to render into it, or null to run headless
+  // (no DOM access at all, e.g. for batch experiments under Node).
+  // Options: `layout` (key of LAYOUTS or a layout object), `walls`,
+  // `randomizeTasks` to draw a new start and goal every episode from a PRNG
+  // derived from the run `seed`, and the fixed physics `timestep` in ms.
+  // Engines with the same seed and layout see the same sequence of tasks,
+  // whatever their reward regime. `robot` is 'pointMass' or 'arm', a
+  // two-link arm (see arm.js) whose end effector stands in for the agent
+  // position everywhere: rewards, success, policies and the overlay.
+  // `taskType` 'push' adds a movable block: the episode succeeds when the
+  // block reaches the goal, and rewards measure the block's distance.
+  // `rewardCorruption` corrupts every reward it hands out (see
+  // corruption.js); isSuccess() is unaffected.
+  constructor(canvas, width, height, {
+    layout = 'open',
+    walls = true,
+    randomizeTasks = false,
+    seed = 1,
+    timestep = 1000 / 60,
+    customReward = null,
+    robot = 'pointMass',
+    taskType = 'reach',
+    rewardCorruption = null,
+  } = {}) {
     this.width = width;
     this.height = height;
     this.engine = Engine.create();
     this.engine.world.gravity.y = 0; // No gravity for manipulation task
     
-    // Create renderer
-    this.render = Render.create({
-      canvas: canvasRef.current,
-      engine: this.engine,
-      options: {
-        width,
-        height,
-        wireframes: false,
-        background: 'transparent',
-        pixelRatio: window.devicePixelRatio || 1,
-      },
-    });
+    // Create renderer (skipped in headless mode)
+    this.headless = !canvas;
+    this.render = this.headless
+      ? null
+      : Render.create({
+          canvas,
+          engine: this.engine,
+          options: {
+            width,
+            height,
+            wireframes: false,
+            background: 'transparent',
+            pixelRatio: window.devicePixelRatio || 1,
+          },
+        });
     
-    // Create point-mass agent (simpler than 2-DOF arm for visualization)
+    // Point-mass agent; with the arm, the radius is the end effector's
     const agentRadius = 15;
+    this.agentRadius = agentRadius;
     this.agent = Bodies.circle(width / 4, height / 2, agentRadius, {
       frictionAir: 0, // No friction - velocity is controlled directly by policy
       render: {
@@ -35,6 +90,7 @@ export class SimulationEngine {
     
     // Create static goal position
     const goalRadius = 20;
+    this.goalRadius = goalRadius;
     this.goal = Bodies.circle(width * 0.75, height / 2, goalRadius, {
       isStatic: true,
       isSensor: true,
@@ -45,15 +101,100 @@ export class SimulationEngine {
       },
     });
     
+    // Static obstacles from the layout, kept in pixel coordinates for
+    // policies and the reward overlay
+    this.obstacles = resolveObstacles(layout, width, height);
+    const obstacleRender = {
+      fillStyle: '#6b7280',
+      strokeStyle: '#374151',
+      lineWidth: 1,
+    };
+    const obstacleBodies = this.obstacles.map((o) =>
+      o.type === 'circle'
+        ? Bodies.circle(o.x, o.y, o.r, { isStatic: true, render: obstacleRender })
+        : Bodies.rectangle(o.x, o.y, o.w, o.h, { isStatic: true, render: obstacleRender })
+    );
+    
+    // Boundary walls just outside the visible arena
+    const wallThickness = 50;
+    const wallBodies = walls
+      ? [
+          Bodies.rectangle(width / 2, -wallThickness / 2, width + 2 * wallThickness, wallThickness, { isStatic: true }),
+          Bodies.rectangle(width / 2, height + wallThickness / 2, width + 2 * wallThickness, wallThickness, { isStatic: true }),
+          Bodies.rectangle(-wallThickness / 2, height / 2, wallThickness, height + 2 * wallThickness, { isStatic: true }),
+          Bodies.rectangle(width + wallThickness / 2, height / 2, wallThickness, height + 2 * wallThickness, { isStatic: true }),
+        ]
+      : [];
+    
+    // Two-link arm standing at the bottom of the arena, replacing the point
+    // mass. Driven by joint velocities; updateAgentVelocity() converts an
+    // end-effector velocity into them.
+    this.robot = robot;
+    this.arm = null;
+    this.armBodies = null;
+    if (robot === 'arm') {
+      this.arm = createArmKinematics(armGeometry(width, height));
+      this.armBodies = createArmBodies(this.arm);
+    }
+    const robotBodies = this.armBodies
+      ? [...this.armBodies.bodies, ...this.armBodies.constraints]
+      : [this.agent];
+    
+    // Block for the push task: a dynamic box with friction, and air friction
+    // standing in for friction with the floor, so it stops when let go
+    this.taskType = taskType;
+    this.boxSize = 30;
+    this.pushStandoff = agentRadius + this.boxSize / 2;
+    // Default block: on the line from the start to the goal, clear of every
+    // layout's obstacles
+    this.defaultBox = { x: width * 0.35, y: height / 2 };
+    this.boxStart = this.defaultBox;
+    this.box = taskType === 'push'
+      ? Bodies.rectangle(this.defaultBox.x, this.defaultBox.y, this.boxSize, this.boxSize, {
+          friction: 0.3,
+          frictionAir: 0.15,
+          density: 0.002,
+          render: {
+            fillStyle: '#f59e0b',
+            strokeStyle: '#b45309',
+            lineWidth: 2,
+          },
+        })
+      : null;
+    
     // Add bodies to world
-    World.add(this.engine.world, [this.agent, this.goal]);
+    World.add(this.engine.world, [
+      ...robotBodies,
+      this.goal,
+      ...(this.box ? [this.box] : []),
+      ...obstacleBodies,
+      ...wallBodies,
+    ]);
     
-    // Initialize agent velocity
+    // Initialize agent velocity (and the arm's joint velocities)
     this.agentVelocity = { x: 0, y: 0 };
+    this.jointVelocity = [0, 0];
     
-    // Track position history for PRM
+    // Recent positions of this episode, drawn as the agent's trail
     this.positionHistory = [];
-    this.maxHistoryLength = 10;
+    this.maxHistoryLength = 200;
+    
+    // Task (start and goal positions): fixed by default, or drawn per episode
+    this.defaultStart = { x: width / 4, y: height / 2 };
+    this.defaultGoal = { x: width * 0.75, y: height / 2 };
+    this.startPosition = this.defaultStart;
+    this.randomizeTasks = randomizeTasks;
+    this.seed = seed;
+    this.taskRandom = createRandom(deriveSeed(seed, 'tasks'));
+    this.taskCount = 0;
+    if (randomizeTasks) {
+      this.nextTask();
+    } else {
+      this.placeAgent(this.startPosition);
+    }
+    if (this.box) {
+      this.placeBox();
+    }
     
     // Success threshold (distance between centers)
     // Agent radius: 15, Goal radius: 20, so threshold of 35 allows overlap
@@ -61,19 +202,63 @@ export class SimulationEngine {
     
     // Track previous distance for continuous reward calculation
     this.previousDistance = null;
+    this.previousGeodesicDistance = null;
+    this.previousJoints = null;
+    this.previousApproachDistance = null;
     this.initialDistance = null;
+    this.lastTransition = null;
+    
+    // Shortest-path distance field to the goal, built on first use
+    this.distanceField = null;
+    
+    // User-defined reward for the 'custom' regime, from compileExpression(),
+    // or the learned model of the 'learned' regime (see rewardModel.js)
+    this.customReward = customReward;
+    
+    // Reward corruption, with its own noise stream and the delayed rewards
+    // still on their way
+    this.rewardCorruption = rewardCorruption;
+    this.rewardNoise = createRandom(deriveSeed(seed, 'rewardNoise'));
+    this.pendingRewards = [];
+    
+    // Simulation clock: advances by exactly one timestep per step(),
+    // independent of wall-clock time and frame rate
+    this.timestep = timestep;
+    this.time = 0;
+    this.stepCount = 0;
     
     // Success counter
     this.successCount = 0;
   }
   
+  // The point mass's position, or the arm's end effector
   getAgentPosition() {
+    if (this.armBodies) {
+      return this.armBodies.getEndEffector();
+    }
     return {
       x: this.agent.position.x,
       y: this.agent.position.y,
     };
   }
   
+  // The arm's joint angles [q1, q2], or null for the point mass
+  getJointAngles() {
+    return this.armBodies ? this.armBodies.getJointAngles() : null;
+  }
+  
+  // Puts the agent at rest at `point`: the point mass there, the arm in the
+  // pose that reaches it
+  placeAgent(point) {
+    if (this.armBodies) {
+      const q = this.arm.inverse(point);
+      if (q) this.armBodies.setJointAngles(q);
+      return;
+    }
+    Body.setPosition(this.agent, point);
+    Body.setVelocity(this.agent, { x: 0, y: 0 });
+  }
+  
   getGoalPosition() {
     return {
       x: this.goal.position.x,
@@ -89,14 +274,104 @@ export class SimulationEngine {
     );
   }
   
+  // The block's position and angle in the push task, else null
+  getBoxState() {
+    return this.box
+      ? { x: this.box.position.x, y: this.box.position.y, angle: this.box.angle }
+      : null;
+  }
+  
+  // What has to reach the goal: the block when pushing, else the agent
+  getTaskPosition() {
+    if (this.box) {
+      return { x: this.box.position.x, y: this.box.position.y };
+    }
+    return this.getAgentPosition();
+  }
+  
+  // Distance from the task position to the goal: what success and the
+  // rewards measure
+  getTaskDistance() {
+    if (!this.box) return this.getDistance();
+    const goalPos = this.getGoalPosition();
+    return Math.hypot(this.box.position.x - goalPos.x, this.box.position.y - goalPos.y);
+  }
+  
+  // Agent's distance to the spot it pushes the block from, 0 without one
+  getApproachDistance() {
+    if (!this.box) return 0;
+    const agentPos = this.getAgentPosition();
+    const target = pushPosition(this.box.position, this.getGoalPosition(), this.pushStandoff);
+    return Math.hypot(target.x - agentPos.x, target.y - agentPos.y);
+  }
+  
+  // Snapshot of the state a policy is allowed to see
+  getObservation() {
+    return {
+      agent: this.getAgentPosition(),
+      goal: this.getGoalPosition(),
+      velocity: { ...this.agentVelocity },
+      distance: this.getDistance(),
+      initialDistance: this.initialDistance,
+      successThreshold: this.successThreshold,
+      agentRadius: this.agentRadius,
+      obstacles: this.obstacles,
+      distanceField: this.getDistanceField(),
+      width: this.width,
+      height: this.height,
+      arm: this.arm,
+      joints: this.getJointAngles(),
+      object: this.box
+        ? {
+            pos: this.getTaskPosition(),
+            angle: this.box.angle,
+            size: this.boxSize,
+            standoff: this.pushStandoff,
+            distance: this.getTaskDistance(),
+          }
+        : null,
+    };
+  }
+  
+  // Geodesic distance field for the current goal and obstacles. Cached, and
+  // rebuilt only when the goal moves.
+  getDistanceField() {
+    const goalPos = this.getGoalPosition();
+    const cached = this.distanceField;
+    if (!cached || cached.goal.x !== goalPos.x || cached.goal.y !== goalPos.y) {
+      this.distanceField = {
+        goal: goalPos,
+        field: computeDistanceField(this.width, this.height, goalPos, this.obstacles, {
+          padding: this.agentRadius,
+        }),
+      };
+    }
+    return this.distanceField.field;
+  }
+  
+  getGeodesicDistance() {
+    return this.getDistanceField().distanceAt(this.getTaskPosition());
+  }
+  
   updateAgentVelocity(vx, vy) {
     // Store velocity - it will be applied in step() before physics update
     this.agentVelocity = { x: vx, y: vy };
+    if (this.arm) {
+      // Resolved-rate control: the joint velocities that move the end
+      // effector this way
+      this.jointVelocity = this.arm.jointVelocities(this.getJointAngles(), this.agentVelocity);
+    }
   }
   
-  step(rewardType, gamma = 0.9, learningRate = 0.1, width = 400, height = 300) {
+  // Drives the arm directly, in radians per step
+  updateJointVelocities(qd1, qd2) {
+    this.jointVelocity = [qd1, qd2];
+  }
+  
+  // `params` are the regime's parameter values (see resolveParams())
+  step(rewardType, params = {}) {
     // 1. Calculate the Reward for the current state (before physics update)
-    const reward = this.getReward(rewardType, gamma, learningRate, width, height);
+    const reward = this.getReward(rewardType, params);
     
     // 2. Check for Success and Reset
     let isDone = false;
@@ -111,14 +386,20 @@ export class SimulationEngine {
     // 3. Apply velocity before physics update
     // This ensures the agent moves according to the policy's desired velocity
     // Always apply velocity (even if zero) to ensure consistent behavior
-    Body.setVelocity(this.agent, this.agentVelocity);
+    if (this.armBodies) {
+      this.armBodies.setJointVelocities(this.jointVelocity);
+    } else {
+      Body.setVelocity(this.agent, this.agentVelocity);
+    }
     
     // 4. Physics Update
-    Engine.update(this.engine, 1000 / 60);
+    Engine.update(this.engine, this.timestep);
+    this.time += this.timestep;
+    this.stepCount++;
     
     // Update position history
     const currentPos = this.getAgentPosition();
-    this.positionHistory.push({ ...currentPos, time: Date.now() });
+    this.positionHistory.push({ ...currentPos, time: this.time });
     if (this.positionHistory.length > this.maxHistoryLength) {
       this.positionHistory.shift();
     }
@@ -126,10 +407,18 @@ export class SimulationEngine {
     return { reward, isDone: false };
   }
   
-  // Continuous reward calculator - no discretization
-  getReward(type, gamma = 0.9, learningRate = 0.1, width = 400, height = 300) {
-    const dist = this.getDistance();
+  // Continuous reward calculator - no discretization. Builds the transition
+  // context from the tracked distances and hands it to the regime's reward
+  // function in the registry, corrupted if the engine has a
+  // `rewardCorruption`. The context is kept as `lastTransition`, for judging
+  // the transition by other rewards later (see preferences.js).
+  getReward(type, params = {}) {
+    const dist = this.getTaskDistance();
     const prevDist = this.previousDistance !== null ? this.previousDistance : dist;
+    const geoDist = this.getGeodesicDistance();
+    const prevGeoDist = this.previousGeodesicDistance !== null ? this.previousGeodesicDistance : geoDist;
+    const q = this.getJointAngles();
+    const goalJoints = this.arm ? this.arm.inverse(this.getGoalPosition()) : null;
     
     // Initialize initial distance on first call
     if (this.initialDistance === null) {
@@ -137,51 +426,118 @@ export class SimulationEngine {
     }
     
     this.previousDistance = dist;
+    this.previousGeodesicDistance = geoDist;
+    const prevJoints = this.previousJoints ?? q;
+    this.previousJoints = q;
+    const approach = this.getApproachDistance();
+    const prevApproach = this.previousApproachDistance ?? approach;
+    this.previousApproachDistance = approach;
 
-    switch (type) {
-      case 'sparse':
-        // Only 1 at the goal, 0 elsewhere. Extremely hard to learn.
-        return dist < this.successThreshold ? 1.0 : 0.0;
-
-      case 'shaping':
-        // Potential-based: r = gamma * Phi(s') - Phi(s)
-        // Phi is negative distance; reward is positive for getting closer.
-        const phiNext = -dist;
-        const phiCurr = -prevDist;
-        return (gamma * phiNext) - phiCurr;
-
-      case 'prm':
-        // Continuous Progress Reward: Normalized distance reduction
-        // NO Math.floor or Math.ceil - fully continuous
-        const initialDist = this.initialDistance;
-        const progress = Math.max(0, (initialDist - dist) / initialDist);
-        // Scale by learning rate for consistency
-        return learningRate * progress;
-
-      case 'semantic':
-        // Gaussian Similarity: R = exp(-d^2 / 2sigma^2)
-        // Provides a smooth "hill" to climb.
-        const sigma = 100; // Adjusted for pixel space
-        return Math.exp(-Math.pow(dist, 2) / (2 * Math.pow(sigma, 2)));
-
-      default:
-        return 0;
-    }
+    const ctx = {
+      pos: this.getAgentPosition(),
+      goal: this.getGoalPosition(),
+      velocity: this.agentVelocity,
+      d: dist,
+      dPrev: prevDist,
+      d0: this.initialDistance,
+      geo: geoDist,
+      geoPrev: prevGeoDist,
+      theta: this.successThreshold,
+      width: this.width,
+      height: this.height,
+      customReward: this.customReward,
+      joints: q && goalJoints ? { q, qPrev: prevJoints, goal: goalJoints } : null,
+      object: this.box
+        ? { pos: this.getTaskPosition(), dAgent: approach, dAgentPrev: prevApproach }
+        : null,
+    };
+    this.lastTransition = ctx;
+    const reward = corruptedReward(type, ctx, resolveParams(type, params), this.rewardCorruption);
+    return deliverReward(reward, this.rewardCorruption, this.pendingRewards, this.rewardNoise);
   }
   
   isSuccess() {
-    return this.getDistance() < this.successThreshold;
+    return this.getTaskDistance() < this.successThreshold;
+  }
+  
+  // Draws the next start and goal: both clear of obstacles (and within the
+  // arm's reach), the start reachable from the goal, and at least a minimum
+  // distance apart. When pushing, also a block position on the same terms,
+  // at least half that distance from the goal and clear of the start.
+  sampleTask() {
+    const random = this.taskRandom;
+    const minSeparation = 0.4 * Math.min(this.width, this.height);
+    const margin = this.goalRadius + 10;
+    const randomPoint = () => ({
+      x: margin + random() * (this.width - 2 * margin),
+      y: margin + random() * (this.height - 2 * margin),
+    });
+    
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const goal = randomPoint();
+      const start = randomPoint();
+      if (isBlocked(goal, this.obstacles, this.goalRadius)) continue;
+      if (isBlocked(start, this.obstacles, this.agentRadius)) continue;
+      if (this.arm && !(this.arm.isReachable(goal, margin) && this.arm.isReachable(start, margin))) continue;
+      if (Math.hypot(goal.x - start.x, goal.y - start.y) < minSeparation) continue;
+      const field = computeDistanceField(this.width, this.height, goal, this.obstacles, {
+        padding: this.agentRadius,
+      });
+      if (field.distanceAt(start) >= field.maxDistance) continue;
+      let box = null;
+      if (this.box) {
+        box = randomPoint();
+        if (isBlocked(box, this.obstacles, this.boxSize)) continue;
+        if (this.arm && !this.arm.isReachable(box, margin)) continue;
+        if (Math.hypot(goal.x - box.x, goal.y - box.y) < minSeparation / 2) continue;
+        if (Math.hypot(start.x - box.x, start.y - box.y) < this.agentRadius + this.boxSize) continue;
+        if (field.distanceAt(box) >= field.maxDistance) continue;
+      }
+      this.distanceField = { goal, field };
+      return { start, goal, box };
+    }
+    // Layout too crowded to sample from: fall back to the fixed task
+    return { start: this.defaultStart, goal: this.defaultGoal, box: this.defaultBox };
+  }
+  
+  nextTask() {
+    const { start, goal, box } = this.sampleTask();
+    this.startPosition = start;
+    Body.setPosition(this.goal, goal);
+    this.placeAgent(start);
+    if (this.box) {
+      this.boxStart = box;
+    }
+    this.taskCount++;
+  }
+  
+  // Puts the block back at its start, at rest
+  placeBox() {
+    Body.setPosition(this.box, this.boxStart);
+    Body.setAngle(this.box, 0);
+    Body.setVelocity(this.box, { x: 0, y: 0 });
+    Body.setAngularVelocity(this.box, 0);
   }
   
   reset() {
-    // Reset agent to initial position
-    Body.setPosition(this.agent, { x: this.width / 4, y: this.height / 2 });
-    Body.setVelocity(this.agent, { x: 0, y: 0 });
+    if (this.randomizeTasks) {
+      this.nextTask();
+    }
+    // Reset agent (and block) to initial position
+    this.placeAgent(this.startPosition);
+    if (this.box) {
+      this.placeBox();
+    }
     this.agentVelocity = { x: 0, y: 0 };
+    this.jointVelocity = [0, 0];
     this.positionHistory = [];
     // Reset distance tracking for continuous rewards
     this.previousDistance = null;
+    this.previousGeodesicDistance = null;
+    this.previousJoints = null;
+    this.previousApproachDistance = null;
     this.initialDistance = null;
+    this.pendingRewards = [];
   }
   
   getSuccessCount() {
@@ -192,16 +548,57 @@ export class SimulationEngine {
     this.successCount = 0;
   }
   
+  // Moves the agent and goal to a state computed elsewhere, without stepping:
+  // for an engine that only renders a simulation running in a worker. `trail`
+  // is that simulation's position history.
+  showState({ agent, goal, joints = null, box = null, trail = null }) {
+    if (trail) {
+      this.positionHistory = trail;
+    }
+    if (this.armBodies && joints) {
+      this.armBodies.setJointAngles(joints);
+    } else if (!this.armBodies) {
+      Body.setPosition(this.agent, agent);
+    }
+    Body.setPosition(this.goal, goal);
+    if (this.box && box) {
+      Body.setPosition(this.box, box);
+      Body.setAngle(this.box, box.angle);
+    }
+  }
+
   renderFrame() {
+    if (this.headless) return;
     Render.world(this.render);
+    if (this.arm) {
+      this.renderArmJoints();
+    }
     // Note: In Matter.js, we typically use Render.run() for continuous rendering
     // But for manual control, we update the render manually
   }
   
+  // Base, elbow and end effector markers over the arm's links
+  renderArmJoints() {
+    const ctx = this.render.context;
+    const q = this.getJointAngles();
+    const markers = [
+      { ...this.arm.base, r: 7, color: '#374151' },
+      { ...this.arm.elbowPosition(q), r: 5, color: '#1e40af' },
+      { ...this.getAgentPosition(), r: 8, color: '#1e40af' },
+    ];
+    markers.forEach(({ x, y, r, color }) => {
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(x, y, r, 0, 2 * Math.PI);
+      ctx.fill();
+    });
+  }
+  
   destroy() {
-    Render.stop(this.render);
     Engine.clear(this.engine);
-    this.render.canvas.remove();
+    if (this.headless) return;
+    // The canvas belongs to the caller, so it is left in the DOM
+    Render.stop(this.render);
     this.render.textures = {};
   }
 }
@@ -0,0 +1,34 @@
+import { createLiveRun } from './liveRun.js';
+
+// Web Worker running one panel's simulation off the main thread.
+//
+// Messages in:
+//   { type: 'start', options }        options for createLiveRun()
+//   { type: 'run', count, valueGrid, directionGrid }
+//                                     step `count` times
+//   { type: 'configure', options }    new rewardParams, customExpression,
+//                                     rewardModel and rewardCorruption
+// Messages out:
+//   { type: 'started', task, joints, provides }
+//                                     the first episode's start and goal, the
+//                                     arm's starting pose and what the policy
+//                                     can show on the overlays
+//   { type: 'batch', ...result }      what run() returned for a 'run'
+//
+// The page asks for the next batch only after receiving the previous one, so
+// a slow simulation falls behind the clock instead of queueing work.
+
+let liveRun = null;
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'start') {
+    liveRun?.destroy();
+    liveRun = createLiveRun(data.options);
+    self.postMessage({ type: 'started', task: liveRun.task, joints: liveRun.joints, provides: liveRun.provides });
+  } else if (data.type === 'run' && liveRun) {
+    const { count, valueGrid, directionGrid } = data;
+    self.postMessage({ type: 'batch', ...liveRun.run(count, { valueGrid, directionGrid }) });
+  } else if (data.type === 'configure' && liveRun) {
+    liveRun.configure(data.options);
+  }
+};
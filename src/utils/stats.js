@@ -0,0 +1,119 @@
+// Small statistics toolkit for multi-seed comparisons: means with Student-t
+// confidence intervals and Welch's unequal-variance t-test.
+
+export function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// Sample variance (n - 1 denominator)
+export function variance(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return values.reduce((sum, v) => sum + (v - m) * (v - m), 0) / (values.length - 1);
+}
+
+// Lanczos approximation of ln(Gamma(x))
+function logGamma(x) {
+  const c = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  c.forEach((coef) => {
+    y += 1;
+    ser += coef / y;
+  });
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+// Continued fraction for the incomplete beta function (Numerical Recipes)
+function betaContinuedFraction(x, a, b) {
+  const EPS = 3e-14;
+  const FPMIN = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < FPMIN) d = FPMIN;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPS) break;
+  }
+  return h;
+}
+
+// Regularized incomplete beta function I_x(a, b)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+// CDF of Student's t distribution with `df` degrees of freedom
+export function studentTCdf(t, df) {
+  const tail = 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  return t >= 0 ? 1 - tail : tail;
+}
+
+// Inverse CDF of Student's t (bisection; accurate to ~1e-10)
+export function studentTQuantile(p, df) {
+  if (p === 0.5) return 0;
+  if (p < 0.5) return -studentTQuantile(1 - p, df);
+  let lo = 0;
+  let hi = 1;
+  while (studentTCdf(hi, df) < p) hi *= 2;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (studentTCdf(mid, df) < p) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// Mean with a two-sided Student-t confidence interval (95% by default)
+export function meanConfidenceInterval(values, level = 0.95) {
+  const n = values.length;
+  if (n === 0) return { mean: NaN, lo: NaN, hi: NaN, n };
+  const m = mean(values);
+  if (n < 2) return { mean: m, lo: m, hi: m, n };
+  const halfWidth = studentTQuantile(1 - (1 - level) / 2, n - 1) * Math.sqrt(variance(values) / n);
+  return { mean: m, lo: m - halfWidth, hi: m + halfWidth, n };
+}
+
+// Welch's two-sided t-test for a difference in means
+export function welchTTest(a, b) {
+  if (a.length < 2 || b.length < 2) return { t: NaN, df: NaN, p: NaN };
+  const va = variance(a) / a.length;
+  const vb = variance(b) / b.length;
+  const diff = mean(a) - mean(b);
+  if (va + vb === 0) {
+    // No spread at all: the means are either identical or certainly different
+    return { t: diff === 0 ? 0 : Math.sign(diff) * Infinity, df: a.length + b.length - 2, p: diff === 0 ? 1 : 0 };
+  }
+  const t = diff / Math.sqrt(va + vb);
+  const df = ((va + vb) ** 2) / ((va * va) / (a.length - 1) + (vb * vb) / (b.length - 1));
+  const p = 2 * (1 - studentTCdf(Math.abs(t), df));
+  return { t, df, p };
+}
@@ -0,0 +1,116 @@
+import { runEpisodes } from './batch.js';
+import { summarizeRun } from './experiment.js';
+import { createEpisodeRecorder } from './recorder.js';
+import { REGIMES } from './regimes.js';
+import { corruptionsFor } from './corruption.js';
+
+// Hyperparameter sweeps: one or two parameters over a grid of values, every
+// combination run headless for the same episodes. A sweep axis is either a
+// numeric parameter of the regime ('reward'), an option of the policy
+// ('policy') or a reward corruption ('corruption', see corruption.js).
+
+// Policy options that can be swept, in the registry's parameter format
+export const POLICY_SWEEP_PARAMS = {
+  speed: { label: 'Policy speed', symbol: 'v', min: 0.5, max: 8, step: 0.5, default: 4 },
+};
+
+// Sweepable axes for a regime: { id, target, name, label, spec }
+export function sweepAxes(rewardType, taskType = 'reach') {
+  const rewardAxes = Object.entries(REGIMES[rewardType].params)
+    .filter(([, spec]) => !spec.options && (spec.taskType ?? taskType) === taskType)
+    .map(([name, spec]) => ({ target: 'reward', name, spec }));
+  const policyAxes = Object.entries(POLICY_SWEEP_PARAMS)
+    .map(([name, spec]) => ({ target: 'policy', name, spec }));
+  const corruptionAxes = corruptionsFor(rewardType)
+    .map(([name, spec]) => ({ target: 'corruption', name, spec }));
+  return [...rewardAxes, ...policyAxes, ...corruptionAxes].map((axis) => ({
+    ...axis,
+    id: `${axis.target}.${axis.name}`,
+    label: `${axis.spec.label} (${axis.spec.symbol})`,
+  }));
+}
+
+// `count` evenly spaced values from `min` to `max`
+export function gridValues(min, max, count) {
+  if (count <= 1) return [min];
+  return Array.from({ length: count }, (_, i) => min + ((max - min) * i) / (count - 1));
+}
+
+// Runs every combination of `xAxis` and the optional `yAxis` values, each
+// { id, target, name, values }. `rewardParams`, `policyOptions` and
+// `rewardCorruption` are the fixed values the axes override; other options go to runEpisodes(). Each
+// cell keeps the last `keepEpisodes` trajectories for inspection. Yields to
+// the event loop between cells; `onProgress(done, total)` reports progress.
+export async function runSweep(
+  {
+    xAxis,
+    yAxis = null,
+    rewardParams = {},
+    policyOptions = {},
+    rewardCorruption = null,
+    keepEpisodes = 20,
+    ...options
+  },
+  onProgress
+) {
+  const yValues = yAxis ? yAxis.values : [null];
+  const total = xAxis.values.length * yValues.length;
+  const cells = [];
+  let done = 0;
+
+  for (let yi = 0; yi < yValues.length; yi++) {
+    for (let xi = 0; xi < xAxis.values.length; xi++) {
+      const overrides = {
+        reward: { ...rewardParams },
+        policy: { ...policyOptions },
+        corruption: { ...rewardCorruption },
+      };
+      overrides[xAxis.target][xAxis.name] = xAxis.values[xi];
+      if (yAxis) overrides[yAxis.target][yAxis.name] = yValues[yi];
+
+      const recorder = createEpisodeRecorder({ maxEpisodes: keepEpisodes });
+      const rows = runEpisodes({
+        ...options,
+        rewardParams: overrides.reward,
+        policyOptions: overrides.policy,
+        rewardCorruption: overrides.corruption,
+        recorder,
+      });
+      const { successRate, meanSteps, meanReturnSuccess, meanReturnFailure, correlation } = summarizeRun(rows);
+      cells.push({
+        x: xi,
+        y: yi,
+        xValue: xAxis.values[xi],
+        yValue: yValues[yi],
+        successRate,
+        meanSteps,
+        meanReturnSuccess,
+        meanReturnFailure,
+        correlation,
+        rows,
+        episodes: recorder.getEpisodes(),
+      });
+
+      done++;
+      onProgress?.(done, total);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  }
+
+  return { xAxis, yAxis, cells };
+}
+
+const CSV_METRICS = ['successRate', 'meanSteps', 'meanReturnSuccess', 'meanReturnFailure', 'correlation'];
+
+// One row per cell, without the trajectories; undefined metrics are empty
+export function sweepToCSV({ xAxis, yAxis, cells }) {
+  const header = [xAxis.id, ...(yAxis ? [yAxis.id] : []), ...CSV_METRICS].join(',');
+  const lines = cells.map((c) =>
+    [
+      c.xValue,
+      ...(yAxis ? [c.yValue] : []),
+      ...CSV_METRICS.map((metric) => (Number.isFinite(c[metric]) ? c[metric] : '')),
+    ].join(',')
+  );
+  return [header, ...lines].join('\n') + '\n';
+}